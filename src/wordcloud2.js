@@ -9,7 +9,8 @@
 'use strict';
 
 // setImmediate
-if (!window.setImmediate) {
+// (There is no window in a worker, where it is not needed; see useWorker.)
+if (typeof window === 'object' && !window.setImmediate) {
   window.setImmediate = (function setupSetImmediate() {
     return window.msSetImmediate ||
     window.webkitSetImmediate ||
@@ -69,7 +70,7 @@ if (!window.setImmediate) {
   })();
 }
 
-if (!window.clearImmediate) {
+if (typeof window === 'object' && !window.clearImmediate) {
   window.clearImmediate = (function setupClearImmediate() {
     return window.msClearImmediate ||
     window.webkitClearImmediate ||
@@ -85,9 +86,42 @@ if (!window.clearImmediate) {
 
 (function(global) {
 
+  // Function to create canvases with, set by WordCloud.setCanvasFactory()
+  var canvasFactory = null;
+
+  // Create a canvas to draw the text on and read back the pixels.
+  // There is no document in a worker, but there is OffscreenCanvas.
+  var createCanvas = function createCanvas() {
+    if (canvasFactory) {
+      return canvasFactory();
+    }
+
+    if (typeof document === 'undefined') {
+      return new OffscreenCanvas(1, 1);
+    }
+
+    return document.createElement('canvas');
+  };
+
+  // Results of isSupported() and getMiniumFontSize(), found out on first use
+  // against the canvas we get from createCanvas().
+  var supported, miniumFontSize;
+
   // Check if WordCloud can run on this browser
-  var isSupported = (function isSupported() {
-    var canvas = document.createElement('canvas');
+  var isSupported = function isSupported() {
+    if (supported === undefined)
+      supported = checkSupported();
+
+    return supported;
+  };
+
+  var checkSupported = function checkSupported() {
+    if (!canvasFactory &&
+        typeof document === 'undefined' &&
+        typeof OffscreenCanvas === 'undefined')
+      return false;
+
+    var canvas = createCanvas();
     if (!canvas || !canvas.getContext)
       return false;
 
@@ -101,17 +135,26 @@ if (!window.clearImmediate) {
       return false;
     if (!Array.prototype.push)
       return false;
+    if (typeof Uint32Array === 'undefined')
+      return false;
 
     return true;
-  }());
+  };
+
+  var getMiniumFontSize = function getMiniumFontSize() {
+    if (miniumFontSize === undefined)
+      miniumFontSize = measureMiniumFontSize();
+
+    return miniumFontSize;
+  };
 
   // Find out if the browser impose minium font size by
   // drawing small texts on a canvas and measure it's width.
-  var miniumFontSize = (function getMiniumFontSize() {
-    if (!isSupported)
+  var measureMiniumFontSize = function measureMiniumFontSize() {
+    if (!isSupported())
       return;
 
-    var ctx = document.createElement('canvas').getContext('2d');
+    var ctx = createCanvas().getContext('2d');
 
     // start from 20
     var size = 20;
@@ -132,171 +175,262 @@ if (!window.clearImmediate) {
     }
 
     return 0;
-  })();
+  };
 
   // Based on http://jsfromhell.com/array/shuffle
-  var shuffleArray = function shuffleArray(arr) {
+  var shuffleArray = function shuffleArray(arr, random) {
     for (var j, x, i = arr.length; i;
-      j = Math.floor(Math.random() * i),
+      j = Math.floor(random() * i),
       x = arr[--i], arr[i] = arr[j],
       arr[j] = x);
     return arr;
   };
 
-  var WordCloud = function WordCloud(canvas, options) {
-    if (!isSupported)
-      return;
-
-    if (typeof canvas === 'string') {
-      canvas = document.getElementById(canvas);
+  // Create a pseudo-random number generator from a seed, so the same seed
+  // always gives the same sequence. This is the Park-Miller "minimal standard"
+  // generator; the seed can be a number or a string.
+  var createRandom = function createRandom(seed) {
+    var state = 0;
+    if (typeof seed === 'string') {
+      var i = seed.length;
+      while (i--) {
+        state = (state * 31 + seed.charCodeAt(i)) % 2147483647;
+      }
+    } else {
+      state = Math.abs(Math.floor(seed)) % 2147483647;
     }
 
-    /* Default values to be overwritten by options object */
-    var settings = {
-      list: [],
-      fontFamily: '"Trebuchet MS", "Heiti TC", "微軟正黑體", ' +
-                  '"Arial Unicode MS", "Droid Fallback Sans", sans-serif',
-      fontWeight: 'normal',
-      color: 'random-dark',
-      minSize: 0, // 0 to disable
-      weightFactor: 1,
-      clearCanvas: true,
-      backgroundColor: '#fff',  // opaque white = rgba(255, 255, 255, 1)
+    // The state must never be 0, or it will stay 0 forever.
+    if (state === 0)
+      state = 2147483646;
+
+    return function random() {
+      state = state * 16807 % 2147483647;
+      return (state - 1) / 2147483646;
+    };
+  };
+
+  // Text measured by getTextInfo(), shared by all the clouds, as the same word
+  // in the same font is measured again e.g. when redrawn in other colors.
+  // The least recently used ones are dropped first; a Map keeps the order
+  // the keys are set in.
+  var TEXT_INFO_CACHE_SIZE = 1000;
+  var textInfoCache = (typeof Map === 'function') ? new Map() : null;
+
+  var getCachedTextInfo = function getCachedTextInfo(key) {
+    if (!textInfoCache || !textInfoCache.has(key))
+      return undefined;
+
+    // Move it to the end as the most recently used one.
+    var info = textInfoCache.get(key);
+    textInfoCache.delete(key);
+    textInfoCache.set(key, info);
+    return info;
+  };
 
-      gridSize: 8,
-      origin: null,
+  var setCachedTextInfo = function setCachedTextInfo(key, info) {
+    if (!textInfoCache)
+      return;
 
-      drawMask: false,
-      maskColor: 'rgba(255,0,0,0.3)',
-      maskGapWidth: 0.3,
+    textInfoCache.set(key, info);
+    if (textInfoCache.size > TEXT_INFO_CACHE_SIZE)
+      textInfoCache.delete(textInfoCache.keys().next().value);
+  };
 
-      wait: 0,
-      abortThreshold: 0, // disabled
-      abort: function noop() {},
+  // Width of the ring drawn around the word focused with the keyboard, in px
+  var FOCUS_RING_WIDTH = 2;
 
-      minRotation: - Math.PI / 2,
-      maxRotation: Math.PI / 2,
+  // Style to hide an element from the eyes but not from screen readers
+  var VISUALLY_HIDDEN = 'position: absolute; width: 1px; height: 1px; ' +
+    'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
 
-      shuffle: true,
-      rotateRatio: 0.1,
+  // Font size of the next try of shrinkToFit, against the last one
+  var SHRINK_RATIO = 0.9;
 
-      shape: 'circle',
-      ellipticity: 0.65,
+  // Items of the list are [word, weight] arrays, which can carry an object
+  // of styles and anything else for the word as the third element,
+  // or objects with the word, the weight and the styles as properties.
+  var getItemWord = function getItemWord(item) {
+    return Array.isArray(item) ? item[0] : item.word;
+  };
 
-      hover: null,
-      click: null
-    };
+  var getItemWeight = function getItemWeight(item) {
+    return Array.isArray(item) ? item[1] : item.weight;
+  };
 
-    if (options) {
-      for (var key in options) {
-        if (key in settings)
-          settings[key] = options[key];
-      }
+  var getItemStyle = function getItemStyle(item) {
+    return (Array.isArray(item) ? item[2] : item) || {};
+  };
+
+  // How the named scales of weightFactor spread the weights between 0 and 1
+  var SCALES = {
+    linear: function linear(weight) {
+      return weight;
+    },
+    sqrt: Math.sqrt,
+    log: function log(weight) {
+      // Plus one so weights from 0 to 1 don't go negative or infinite.
+      return Math.log(weight + 1);
     }
+  };
 
-    /* Convert weightFactor into a function */
-    if (typeof settings.weightFactor !== 'function') {
-      var factor = settings.weightFactor;
-      settings.weightFactor = function weightFactor(pt) {
-        return pt * factor; //in px
+  // Where the weight is between 0 and 1 on the named scale, against
+  // the weights of the list
+  var createScalePosition = function createScalePosition(name, list) {
+    var weights = list.map(getItemWeight).sort(function compare(a, b) {
+      return a - b;
+    });
+
+    if (name === 'rank') {
+      // Only the order of the weights matters; the same weights
+      // get the same size.
+      var ranks = weights.filter(function isFirst(weight, i) {
+        return weights[i - 1] !== weight;
+      });
+      return function rankPosition(weight) {
+        // Count the weights below, for a weight not in the list.
+        var rank = 0;
+        while (rank < ranks.length && ranks[rank] < weight) {
+          rank++;
+        }
+        return rank / (ranks.length - 1);
       };
     }
 
-    /* Convert shape into a function */
-    if (typeof settings.shape !== 'function') {
-      switch (settings.shape) {
-        case 'circle':
-        default:
-          // 'circle' is the default and a shortcut in the code loop.
-          settings.shape = 'circle';
-          break;
+    var scale = SCALES[name];
+    var min = scale(weights[0]);
+    var max = scale(weights[weights.length - 1]);
+    return function scalePosition(weight) {
+      return (scale(weight) - min) / (max - min);
+    };
+  };
 
-        case 'cardioid':
-          settings.shape = function shapeCardioid(theta) {
-            return 1 - Math.sin(theta);
-          };
-          break;
+  // Create a weightFactor function from a named scale, which maps the weights
+  // of the list into the range of font sizes: the lightest word is drawn
+  // in minFontSize and the heaviest in maxFontSize. The list is got each time,
+  // and the scale is made again when it is changed, e.g. by add().
+  var createScale = function createScale(name, getList, minFontSize,
+                                         maxFontSize) {
+    var list, position;
+
+    return function scaledWeightFactor(weight) {
+      if (getList() !== list) {
+        list = getList();
+        position = createScalePosition(name, list);
+      }
 
-        /*
+      var t = position(weight);
+      // All the words are the heaviest if they weigh the same.
+      if (!isFinite(t))
+        t = 1;
+      t = Math.min(Math.max(t, 0), 1);
+      return minFontSize + t * (maxFontSize - minFontSize); // in px
+    };
+  };
 
-        To work out an X-gon, one has to calculate "m",
-        where 1/(cos(2*PI/X)+m*sin(2*PI/X)) = 1/(cos(0)+m*sin(0))
-        http://www.wolframalpha.com/input/?i=1%2F%28cos%282*PI%2FX%29%2Bm*sin%28
-        2*PI%2FX%29%29+%3D+1%2F%28cos%280%29%2Bm*sin%280%29%29
+  var SVG_NS = 'http://www.w3.org/2000/svg';
 
-        Copy the solution into polar equation r = 1/(cos(t') + m*sin(t'))
-        where t' equals to mod(t, 2PI/X);
+  // Create an SVG element with the given attributes
+  var createSVGElement = function createSVGElement(name, attributes) {
+    var el = document.createElementNS(SVG_NS, name);
+    for (var key in attributes) {
+      el.setAttribute(key, attributes[key]);
+    }
+    return el;
+  };
 
-        */
+  // Copy of the placement of a word without the internal information,
+  // for users of WordCloud.layout()
+  var getLayoutOf = function getLayoutOf(placement) {
+    return {
+      item: placement.item,
+      word: placement.word,
+      weight: placement.weight,
+      x: placement.x,
+      y: placement.y,
+      fontSize: placement.fontSize,
+      fontFamily: placement.fontFamily,
+      fontWeight: placement.fontWeight,
+      rotation: placement.rotation,
+      color: placement.color,
+      dimension: placement.dimension
+    };
+  };
 
-        case 'diamond':
-        case 'square':
-          // http://www.wolframalpha.com/input/?i=plot+r+%3D+1%2F%28cos%28mod+
-          // %28t%2C+PI%2F2%29%29%2Bsin%28mod+%28t%2C+PI%2F2%29%29%29%2C+t+%3D
-          // +0+..+2*PI
-          settings.shape = function shapeSquare(theta) {
-            var thetaPrime = theta % (2 * Math.PI / 4);
-            return 1 / (Math.cos(thetaPrime) + Math.sin(thetaPrime));
-          };
-          break;
+  // URL of this script, to run it again in a worker; see useWorker.
+  var scriptURL = (function getScriptURL() {
+    if (typeof document === 'undefined')
+      return;
 
-        case 'triangle-forward':
-          // http://www.wolframalpha.com/input/?i=plot+r+%3D+1%2F%28cos%28mod+
-          // %28t%2C+2*PI%2F3%29%29%2Bsqrt%283%29sin%28mod+%28t%2C+2*PI%2F3%29
-          // %29%29%2C+t+%3D+0+..+2*PI
-          settings.shape = function shapeTriangle(theta) {
-            var thetaPrime = theta % (2 * Math.PI / 3);
-            return 1 / (Math.cos(thetaPrime) +
-                        Math.sqrt(3) * Math.sin(thetaPrime));
-          };
-          break;
+    if (document.currentScript)
+      return document.currentScript.src;
 
-        case 'triangle':
-        case 'triangle-upright':
-          settings.shape = function shapeTriangle(theta) {
-            var thetaPrime = (theta + Math.PI * 3 / 2) % (2 * Math.PI / 3);
-            return 1 / (Math.cos(thetaPrime) +
-                        Math.sqrt(3) * Math.sin(thetaPrime));
-          };
-          break;
+    // The script being run is the last one on the page so far.
+    var scripts = document.getElementsByTagName('script');
+    if (!scripts.length)
+      return;
 
-        case 'pentagon':
-          settings.shape = function shapePentagon(theta) {
-            var thetaPrime = (theta + 0.955) % (2 * Math.PI / 5);
-            return 1 / (Math.cos(thetaPrime) +
-                        0.726543 * Math.sin(thetaPrime));
-          };
-          break;
+    return scripts[scripts.length - 1].src;
+  })();
 
-        case 'star':
-          settings.shape = function shapeStar(theta) {
-            var thetaPrime = (theta + 0.955) % (2 * Math.PI / 10);
-            if ((theta + 0.955) % (2 * Math.PI / 5) - (2 * Math.PI / 10) >= 0) {
-              return 1 / (Math.cos((2 * Math.PI / 10) - thetaPrime) +
-                          3.07768 * Math.sin((2 * Math.PI / 10) - thetaPrime));
-            } else {
-              return 1 / (Math.cos(thetaPrime) +
-                          3.07768 * Math.sin(thetaPrime));
-            }
-          };
-          break;
-      }
+  // Escape the text to put in XML
+  var escapeXML = function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  };
+
+  var WordCloud = function WordCloud(canvas, options) {
+    if (!isSupported())
+      return;
+
+    if (typeof canvas === 'string') {
+      canvas = document.getElementById(canvas);
     }
 
-    /* Make sure gridSize is not smaller than 4px */
-    settings.gridSize = Math.max(settings.gridSize, 4);
+    if (!canvas)
+      throw new Error('The element to draw the word cloud on is not found.');
 
-    /* shorthand */
-    var g = settings.gridSize;
-    var maskRectWidth = g - settings.maskGapWidth;
+    return createWordCloud(canvas, options);
+  };
+
+  /* Create the cloud on the element, or only work out the placements of
+     the words without one; see WordCloud.layout(). */
+  var createWordCloud = function createWordCloud(canvas, options) {
+    /* What to paint the words on: an <svg> element gets <text> elements,
+       other elements get <span> elements, and a canvas gets pixels.
+       There is none for WordCloud.layout(). */
+    var renderer;
+    if (!canvas) {
+      renderer = null;
+    } else if (canvas.namespaceURI === SVG_NS) {
+      renderer = 'svg';
+    } else if (typeof canvas.getContext === 'function') {
+      renderer = 'canvas';
+    } else {
+      renderer = 'dom';
+    }
+
+    /* Options given so far, kept so redraw() can take new ones on top */
+    var givenOptions = {};
 
-    /* normalize rotation settings */
-    var rotationRange = Math.abs(settings.maxRotation - settings.minRotation);
-    var minRotation = Math.min(settings.maxRotation, settings.minRotation);
+    /* settings and values derived from it, set when configure() */
+    var settings, // options merged with the default values
+      g, // shorthand of settings.gridSize
+      maskRectWidth,
+      rotationRange, minRotation, // normalized rotation settings
+      getTextColor; // function for getting the color of the text
 
     /* information/object available to all functions, set when start() */
     var ctx, // canvas context
-      grid, // 2d array containing filling information
+      elementWidth, elementHeight, // size of the element in CSS pixels
+      pixelRatio = 1, // device pixels of the canvas per CSS pixel
+      baseArea, // area of the element first drawn, for responsive
+      areaScale = 1, // scale of the font sizes, for responsive
+      autoFit = false, // weightFactor is 'auto'
+      autoFactor = 1, // the weightFactor found to fit the list
+      fitting = false, // looking for autoFactor, without abortThreshold
+      grid, // bitmap of the filled cells, a row of 32-bit words for each gy
+      gridRowWords, // number of words in a row of the grid
       ngx, ngy, // width and height of the grid
       center, // position of the center of the cloud
       maxRadius;
@@ -304,33 +438,234 @@ if (!window.clearImmediate) {
     /* timestamp for measuring each putWord() action */
     var escapeTime;
 
-    /* function for getting the color of the text */
-    var getTextColor;
-    switch (settings.color) {
-      case 'random-dark':
-        getTextColor = function getRandomDarkColor() {
-          return 'rgb(' +
-            Math.floor(Math.random() * 128).toString(10) + ',' +
-            Math.floor(Math.random() * 128).toString(10) + ',' +
-            Math.floor(Math.random() * 128).toString(10) + ')';
+    /* source of randomness, (re-)seeded when start() */
+    var random = Math.random;
+
+    /* Merge the options into the settings and normalize them */
+    var configure = function configure(options) {
+      if (options) {
+        for (var key in options) {
+          givenOptions[key] = options[key];
+        }
+      }
+
+      /* Default values to be overwritten by options object */
+      settings = {
+        list: [],
+        fontFamily: '"Trebuchet MS", "Heiti TC", "微軟正黑體", ' +
+                    '"Arial Unicode MS", "Droid Fallback Sans", sans-serif',
+        fontWeight: 'normal',
+        color: 'random-dark',
+        minSize: 0, // 0 to disable
+        weightFactor: 1, // or 'auto' to fit the list into the canvas
+        fitRatio: 1, // part of the list to fit for 'auto' weightFactor
+        minFontSize: 10, // range of font sizes for the named scales
+        maxFontSize: 60, // of weightFactor, in px
+        clearCanvas: true,
+        backgroundColor: '#fff',  // opaque white = rgba(255, 255, 255, 1)
+
+        gridSize: 8,
+        origin: null,
+
+        drawMask: false,
+        maskColor: 'rgba(255,0,0,0.3)',
+        maskGapWidth: 0.3,
+
+        wait: 0,
+        abortThreshold: 0, // disabled
+        abort: function noop() {},
+
+        minRotation: - Math.PI / 2,
+        maxRotation: Math.PI / 2,
+        rotationSteps: 0, // number of angles to pick from; 0 for any angle
+        rotation: null, // callback(word, weight, index) to pin the rotation
+        retryRotations: false, // try the other angles if a word won't fit
+        shrinkToFit: false, // try smaller font sizes if a word won't fit
+
+        shuffle: true,
+        rotateRatio: 0.1,
+        seed: null, // null to use Math.random()
+
+        shape: 'circle',
+        ellipticity: 0.65,
+        maskImage: null, // image, canvas or ImageData to put the words within
+
+        useWorker: false, // work out the layout in a Web Worker if possible
+        workerURL: null, // URL of this script, if it can't be detected
+
+        placements: null, // saved placements to paint instead of the list
+
+        pixelRatio: 0, // 0 to leave the canvas as it is
+
+        animation: null, // 'fade', 'scale' or 'fade scale' to animate words in
+        animationDuration: 400, // in ms
+        transition: false, // move the words drawn before to their new places
+
+        keyboard: true, // move among the words with the keys, with hover/click
+        ariaLabel: 'Word cloud', // null to leave the element as it is
+
+        responsive: false, // draw again when the container is resized
+        responsiveDelay: 100, // wait for the resizing to finish, in ms
+
+        width: 0, // size of the virtual grid for WordCloud.layout()
+        height: 0,
+
+        hover: null,
+        click: null
+      };
+
+      for (var key in givenOptions) {
+        if (key in settings)
+          settings[key] = givenOptions[key];
+      }
+
+      // Without a seed, e.g. undefined, Math.random() is used.
+      if (settings.seed != null && typeof settings.seed !== 'string' &&
+          !(typeof settings.seed === 'number' && isFinite(settings.seed))) {
+        throw new TypeError('The seed must be a finite number or a string.');
+      }
+
+      /* Convert weightFactor into a function */
+      autoFit = (settings.weightFactor === 'auto');
+      if (autoFit) {
+        settings.weightFactor = function autoWeightFactor(pt) {
+          return pt * autoFactor;
         };
-        break;
-
-      case 'random-light':
-        getTextColor = function getRandomLightColor() {
-          return 'rgb(' +
-            Math.floor(Math.random() * 128 + 128).toString(10) + ',' +
-            Math.floor(Math.random() * 128 + 128).toString(10) + ',' +
-            Math.floor(Math.random() * 128 + 128).toString(10) + ')';
+      } else if (settings.weightFactor === 'rank' ||
+                 SCALES.hasOwnProperty(settings.weightFactor)) {
+        settings.weightFactor = createScale(settings.weightFactor,
+                                            function getList() {
+                                              return settings.list;
+                                            },
+                                            settings.minFontSize,
+                                            settings.maxFontSize);
+      } else if (typeof settings.weightFactor !== 'function') {
+        var factor = settings.weightFactor;
+        settings.weightFactor = function weightFactor(pt) {
+          return pt * factor; //in px
         };
-        break;
+      }
 
-      default:
-        if (typeof settings.color === 'function') {
-          getTextColor = settings.color;
+      /* Convert shape into a function */
+      if (typeof settings.shape !== 'function') {
+        switch (settings.shape) {
+          case 'circle':
+          default:
+            // 'circle' is the default and a shortcut in the code loop.
+            settings.shape = 'circle';
+            break;
+
+          case 'cardioid':
+            settings.shape = function shapeCardioid(theta) {
+              return 1 - Math.sin(theta);
+            };
+            break;
+
+          /*
+
+          To work out an X-gon, one has to calculate "m",
+          where 1/(cos(2*PI/X)+m*sin(2*PI/X)) = 1/(cos(0)+m*sin(0))
+          http://www.wolframalpha.com/input/?i=1%2F%28cos%282*PI%2FX%29%2Bm*sin%28
+          2*PI%2FX%29%29+%3D+1%2F%28cos%280%29%2Bm*sin%280%29%29
+
+          Copy the solution into polar equation r = 1/(cos(t') + m*sin(t'))
+          where t' equals to mod(t, 2PI/X);
+
+          */
+
+          case 'diamond':
+          case 'square':
+            // http://www.wolframalpha.com/input/?i=plot+r+%3D+1%2F%28cos%28mod+
+            // %28t%2C+PI%2F2%29%29%2Bsin%28mod+%28t%2C+PI%2F2%29%29%29%2C+t+%3D
+            // +0+..+2*PI
+            settings.shape = function shapeSquare(theta) {
+              var thetaPrime = theta % (2 * Math.PI / 4);
+              return 1 / (Math.cos(thetaPrime) + Math.sin(thetaPrime));
+            };
+            break;
+
+          case 'triangle-forward':
+            // http://www.wolframalpha.com/input/?i=plot+r+%3D+1%2F%28cos%28mod+
+            // %28t%2C+2*PI%2F3%29%29%2Bsqrt%283%29sin%28mod+%28t%2C+2*PI%2F3%29
+            // %29%29%2C+t+%3D+0+..+2*PI
+            settings.shape = function shapeTriangle(theta) {
+              var thetaPrime = theta % (2 * Math.PI / 3);
+              return 1 / (Math.cos(thetaPrime) +
+                          Math.sqrt(3) * Math.sin(thetaPrime));
+            };
+            break;
+
+          case 'triangle':
+          case 'triangle-upright':
+            settings.shape = function shapeTriangle(theta) {
+              var thetaPrime = (theta + Math.PI * 3 / 2) % (2 * Math.PI / 3);
+              return 1 / (Math.cos(thetaPrime) +
+                          Math.sqrt(3) * Math.sin(thetaPrime));
+            };
+            break;
+
+          case 'pentagon':
+            settings.shape = function shapePentagon(theta) {
+              var thetaPrime = (theta + 0.955) % (2 * Math.PI / 5);
+              return 1 / (Math.cos(thetaPrime) +
+                          0.726543 * Math.sin(thetaPrime));
+            };
+            break;
+
+          case 'star':
+            settings.shape = function shapeStar(theta) {
+              var thetaPrime = (theta + 0.955) % (2 * Math.PI / 10);
+              if ((theta + 0.955) % (2 * Math.PI / 5) - (2 * Math.PI / 10) >= 0) {
+                return 1 / (Math.cos((2 * Math.PI / 10) - thetaPrime) +
+                            3.07768 * Math.sin((2 * Math.PI / 10) - thetaPrime));
+              } else {
+                return 1 / (Math.cos(thetaPrime) +
+                            3.07768 * Math.sin(thetaPrime));
+              }
+            };
+            break;
         }
-        break;
-    }
+      }
+
+      /* Make sure gridSize is not smaller than 4px */
+      settings.gridSize = Math.max(settings.gridSize, 4);
+
+      /* shorthand */
+      g = settings.gridSize;
+      maskRectWidth = g - settings.maskGapWidth;
+
+      /* normalize rotation settings */
+      rotationRange = Math.abs(settings.maxRotation - settings.minRotation);
+      minRotation = Math.min(settings.maxRotation, settings.minRotation);
+
+      /* function for getting the color of the text */
+      getTextColor = undefined;
+      switch (settings.color) {
+        case 'random-dark':
+          getTextColor = function getRandomDarkColor() {
+            return 'rgb(' +
+              Math.floor(random() * 128).toString(10) + ',' +
+              Math.floor(random() * 128).toString(10) + ',' +
+              Math.floor(random() * 128).toString(10) + ')';
+          };
+          break;
+
+        case 'random-light':
+          getTextColor = function getRandomLightColor() {
+            return 'rgb(' +
+              Math.floor(random() * 128 + 128).toString(10) + ',' +
+              Math.floor(random() * 128 + 128).toString(10) + ',' +
+              Math.floor(random() * 128 + 128).toString(10) + ')';
+          };
+          break;
+
+        default:
+          if (typeof settings.color === 'function') {
+            getTextColor = settings.color;
+          }
+          break;
+      }
+    };
 
     /* Interactive */
     var interactive = false;
@@ -342,8 +677,12 @@ if (!window.clearImmediate) {
       var eventX = evt.clientX - rect.left;
       var eventY = evt.clientY - rect.top;
 
-      var x = Math.floor(eventX * (canvas.width / rect.width) / g);
-      var y = Math.floor(eventY * (canvas.height / rect.height) / g);
+      var x = Math.floor(eventX * (elementWidth / rect.width) / g);
+      var y = Math.floor(eventY * (elementHeight / rect.height) / g);
+
+      // e.g. off the grid, or on an element not in the document
+      if (!(x >= 0 && x < ngx && y >= 0 && y < ngy) || !infoGrid[x])
+        return undefined;
 
       return infoGrid[x][y];
     };
@@ -373,6 +712,243 @@ if (!window.clearImmediate) {
       settings.click(info.item, info.dimension, evt);
     };
 
+    /* The word focused with the keyboard, and the ring drawn around it */
+    var focused, focusRing;
+
+    /* Move the focus among the words drawn with the keys, in the order of
+       the weights, heaviest first */
+    var wordcloudkeydown = function wordcloudkeydown(evt) {
+      var order = placed.slice().sort(function byWeight(a, b) {
+        return b.weight - a.weight;
+      });
+      if (!order.length)
+        return;
+
+      var index = order.indexOf(focused);
+      var next;
+      switch (evt.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          next = (index + 1) % order.length;
+          break;
+
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          next = ((index <= 0) ? order.length : index) - 1;
+          break;
+
+        case 'Home':
+          next = 0;
+          break;
+
+        case 'End':
+          next = order.length - 1;
+          break;
+
+        case 'Tab':
+          // Let the focus go on to the other elements past the ends,
+          // so it is not trapped in the cloud.
+          next = index + (evt.shiftKey ? -1 : 1);
+          if (next < 0 || next >= order.length) {
+            focusWord(undefined, evt);
+            return;
+          }
+          break;
+
+        case 'Enter':
+        case ' ':
+          if (focused && settings.click) {
+            evt.preventDefault();
+            settings.click(focused.item, focused.dimension, evt);
+          }
+          return;
+
+        default:
+          return;
+      }
+
+      evt.preventDefault();
+      focusWord(order[next], evt);
+      announce(focused, next, order.length);
+    };
+
+    var wordcloudblur = function wordcloudblur(evt) {
+      focusWord(undefined, evt);
+    };
+
+    /* Move the focus ring to the word, or take it away, and tell hover */
+    var focusWord = function focusWord(placement, evt) {
+      if (placement === focused)
+        return;
+
+      var previous = focused;
+      focused = placement;
+      if (previous)
+        eraseFocusRing(previous);
+      if (placement)
+        drawFocusRing(placement);
+
+      if (settings.hover) {
+        settings.hover(placement && placement.item,
+                       placement && placement.dimension, evt);
+      }
+    };
+
+    /* The box of the focus ring, a bit out of the dimension of the word */
+    var getFocusRingBox = function getFocusRingBox(placement) {
+      var d = placement.dimension;
+      var margin = FOCUS_RING_WIDTH * 2;
+      return {
+        x: d.x - margin,
+        y: d.y - margin,
+        w: d.w + margin * 2,
+        h: d.h + margin * 2
+      };
+    };
+
+    /* Draw the focus ring around the word, in the color of the word */
+    var drawFocusRing = function drawFocusRing(placement) {
+      var box = getFocusRingBox(placement);
+      var inset = FOCUS_RING_WIDTH / 2;
+
+      switch (renderer) {
+        case 'svg':
+          focusRing = createSVGElement('rect', {
+            x: box.x + inset,
+            y: box.y + inset,
+            width: box.w - FOCUS_RING_WIDTH,
+            height: box.h - FOCUS_RING_WIDTH,
+            fill: 'none',
+            stroke: placement.color,
+            'stroke-width': FOCUS_RING_WIDTH
+          });
+          canvas.appendChild(focusRing);
+          break;
+
+        case 'dom':
+          focusRing = document.createElement('div');
+          focusRing.style.position = 'absolute';
+          focusRing.style.boxSizing = 'border-box';
+          focusRing.style.left = box.x + 'px';
+          focusRing.style.top = box.y + 'px';
+          focusRing.style.width = box.w + 'px';
+          focusRing.style.height = box.h + 'px';
+          focusRing.style.border =
+            FOCUS_RING_WIDTH + 'px solid ' + placement.color;
+          focusRing.style.pointerEvents = 'none';
+          canvas.appendChild(focusRing);
+          break;
+
+        default:
+          ctx.save();
+          ctx.strokeStyle = placement.color;
+          ctx.lineWidth = FOCUS_RING_WIDTH;
+          ctx.strokeRect(box.x + inset, box.y + inset,
+                         box.w - FOCUS_RING_WIDTH, box.h - FOCUS_RING_WIDTH);
+          ctx.restore();
+          break;
+      }
+    };
+
+    var eraseFocusRing = function eraseFocusRing(placement) {
+      if (renderer === 'canvas') {
+        repaintRegion(getFocusRingBox(placement));
+      } else if (focusRing && focusRing.parentNode) {
+        canvas.removeChild(focusRing);
+      }
+      focusRing = undefined;
+    };
+
+    /* Read the focused word out with the live region next to the element */
+    var liveRegion;
+
+    var announce = function announce(placement, index, count) {
+      if (!settings.ariaLabel || !canvas.parentNode)
+        return;
+
+      if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('style', VISUALLY_HIDDEN);
+        canvas.parentNode.insertBefore(liveRegion, canvas.nextSibling);
+      }
+
+      liveRegion.textContent = placement.word + ', ' +
+        (index + 1) + ' / ' + count;
+    };
+
+    /* List the words drawn, heaviest first, as the fallback content of
+       the canvas for assistive technology; the words on the other elements
+       are read out as they are. */
+    var wordList;
+
+    var updateWordList = function updateWordList() {
+      if (renderer !== 'canvas' || !settings.ariaLabel ||
+          typeof document === 'undefined' || !canvas.appendChild)
+        return;
+
+      if (!wordList) {
+        wordList = document.createElement('ul');
+      }
+      while (wordList.firstChild) {
+        wordList.removeChild(wordList.firstChild);
+      }
+
+      placed.slice().sort(function byWeight(a, b) {
+        return b.weight - a.weight;
+      }).forEach(function addWord(placement) {
+        var li = document.createElement('li');
+        li.textContent = placement.word;
+        wordList.appendChild(li);
+      });
+
+      if (wordList.parentNode !== canvas)
+        canvas.appendChild(wordList);
+    };
+
+    /* The attributes of the element before setupAccessibility(),
+       to put back when destroy() */
+    var savedAttributes;
+
+    /* Label the element for assistive technology, and make it focusable
+       if the words can be navigated with the keys */
+    var setupAccessibility = function setupAccessibility() {
+      if (!settings.ariaLabel || !canvas.setAttribute)
+        return;
+
+      if (!savedAttributes) {
+        savedAttributes = {};
+        ['role', 'aria-label', 'tabindex'].forEach(function save(name) {
+          savedAttributes[name] = canvas.getAttribute(name);
+        });
+      }
+
+      canvas.setAttribute('role', 'group');
+      canvas.setAttribute('aria-label', settings.ariaLabel);
+      if (interactive && settings.keyboard && !canvas.getAttribute('tabindex'))
+        canvas.setAttribute('tabindex', '0');
+    };
+
+    /* Take the list of the words and the attributes off the element */
+    var removeAccessibility = function removeAccessibility() {
+      if (wordList && wordList.parentNode)
+        wordList.parentNode.removeChild(wordList);
+      wordList = undefined;
+
+      if (liveRegion && liveRegion.parentNode)
+        liveRegion.parentNode.removeChild(liveRegion);
+      liveRegion = undefined;
+
+      for (var name in savedAttributes) {
+        if (savedAttributes[name] == null) {
+          canvas.removeAttribute(name);
+        } else {
+          canvas.setAttribute(name, savedAttributes[name]);
+        }
+      }
+      savedAttributes = undefined;
+    };
+
     /* Get points on the grid for a given radius away from the center */
     var pointsAtRadius = [];
     var getPointsAtRadius = function getPointsAtRadius(radius) {
@@ -408,9 +984,14 @@ if (!window.clearImmediate) {
       return points;
     };
 
+    /* Font size of the given weight, in pixels */
+    var getFontSize = function getFontSize(weight) {
+      return settings.weightFactor(weight) * areaScale;
+    };
+
     /* Return true if we had spent too much time */
     var exceedTime = function exceedTime() {
-      return ((settings.abortThreshold > 0) &&
+      return (!fitting && (settings.abortThreshold > 0) &&
         ((new Date()).getTime() - escapeTime > settings.abortThreshold));
     };
 
@@ -419,28 +1000,89 @@ if (!window.clearImmediate) {
       if (settings.rotateRatio === 0)
         return 0;
 
-      if (Math.random() > settings.rotateRatio)
+      if (random() > settings.rotateRatio)
         return 0;
 
-      if (rotationRange === 0)
+      if (rotationRange === 0 || settings.rotationSteps === 1)
         return minRotation;
 
-      return minRotation + Math.random() * rotationRange;
+      // Pick one of the evenly spaced angles, both ends included.
+      if (settings.rotationSteps > 1) {
+        var step = Math.floor(random() * settings.rotationSteps);
+        return minRotation +
+          step * rotationRange / (settings.rotationSteps - 1);
+      }
+
+      return minRotation + random() * rotationRange;
+    };
+
+    /* All the angles a word could be put at, for retryRotations */
+    var getRotations = function getRotations() {
+      // Words that are not rotated are horizontal.
+      var rotations = (settings.rotateRatio < 1) ? [0] : [];
+      if (settings.rotateRatio === 0)
+        return rotations;
+
+      if (rotationRange === 0 || settings.rotationSteps === 1) {
+        rotations.push(minRotation);
+      } else if (settings.rotationSteps > 1) {
+        for (var step = 0; step < settings.rotationSteps; step++) {
+          rotations.push(minRotation +
+                         step * rotationRange / (settings.rotationSteps - 1));
+        }
+      } else {
+        // Any angle is allowed; try both ends of the range.
+        rotations.push(minRotation, minRotation + rotationRange);
+      }
+
+      return rotations.filter(function isFirst(rad, i) {
+        return rotations.indexOf(rad) === i;
+      });
+    };
+
+    /* The rotation pinned for the item at the index of the list, by its style
+       or the rotation callback; undefined to leave it to getRotateDeg() */
+    var getPinnedRotation = function getPinnedRotation(item, index) {
+      var rotation = getItemStyle(item).rotation;
+      if (typeof rotation !== 'number' && settings.rotation) {
+        rotation = settings.rotation(getItemWord(item), getItemWeight(item),
+                                     index);
+      }
+
+      return (typeof rotation === 'number') ? rotation : undefined;
+    };
+
+    /* Get the fontFamily or fontWeight for a word. The callbacks take the same
+       arguments as the color callback, but the distance and theta are not
+       known yet, since the font is needed to measure the word first. */
+    var getFontOption = function getFontOption(name, word, weight, fontSize) {
+      var value = settings[name];
+      return (typeof value === 'function') ?
+        value(word, weight, fontSize) : value;
     };
 
-    var getTextInfo = function getTextInfo(word, weight, rotateDeg) {
-      // calculate the acutal font size
+    /* Measure the text in the given font and find out the spaces
+       it occupies on the grid */
+    var getTextInfo = function getTextInfo(word, fontSize, rotateDeg,
+                                           fontWeight, fontFamily) {
       // fontSize === 0 means weightFactor function wants the text skipped,
       // and size < minSize means we cannot draw the text.
       var debug = false;
-      var fontSize = settings.weightFactor(weight);
       if (fontSize <= settings.minSize)
         return false;
 
+      // The info is never changed once made, so it can be shared.
+      var cacheKey = JSON.stringify([word, fontWeight, fontFamily, fontSize,
+                                     rotateDeg, g]);
+      var cachedInfo = getCachedTextInfo(cacheKey);
+      if (cachedInfo)
+        return cachedInfo;
+
       // Scale factor here is to make sure fillText is not limited by
       // the minium font size set by browser.
       // It will always be 1 or 2n.
       var mu = 1;
+      var miniumFontSize = getMiniumFontSize();
       if (fontSize < miniumFontSize) {
         mu = (function calculateScaleFactor() {
           var mu = 2;
@@ -451,10 +1093,12 @@ if (!window.clearImmediate) {
         })();
       }
 
-      var fcanvas = document.createElement('canvas');
+      var fcanvas = createCanvas();
       var fctx = fcanvas.getContext('2d');
 
-      fctx.font = settings.fontWeight + ' ' + (fontSize * mu).toString(10) + 'px ' + settings.fontFamily;
+      var font = fontWeight + ' ' + (fontSize * mu).toString(10) + 'px ' +
+        fontFamily;
+      fctx.font = font;
 
       // Estimate the dimension of the text with measureText().
       var fw = fctx.measureText(word).width / mu;
@@ -484,8 +1128,8 @@ if (!window.clearImmediate) {
       var width = cgw * g;
       var height = cgh * g;
 
-      fcanvas.setAttribute('width', width);
-      fcanvas.setAttribute('height', height);
+      fcanvas.width = width;
+      fcanvas.height = height;
 
       if (debug)
         document.body.appendChild(fcanvas);
@@ -498,7 +1142,7 @@ if (!window.clearImmediate) {
 
       // Once the width/height is set, ctx info will be reset.
       // Set it again here.
-      fctx.font = settings.fontWeight + ' ' + (fontSize * mu).toString(10) + 'px ' + settings.fontFamily;
+      fctx.font = font;
 
       // Fill the text into the fcanvas.
       fctx.fillStyle = '#000';
@@ -517,7 +1161,9 @@ if (!window.clearImmediate) {
       // Read the pixels and save the information to the occupied array
       var occupied = [];
       var gx = cgw, gy, x, y;
-      var bounds = [cgh / 2, cgw / 2, cgh / 2, cgw / 2];
+      // The box actually occupied, in cells of the box; it starts inverted
+      // so the first cell occupied sets it, and it is always in whole cells.
+      var bounds = [Infinity, -Infinity, -Infinity, Infinity];
       while (gx--) {
         gy = cgh;
         while (gy--) {
@@ -555,6 +1201,11 @@ if (!window.clearImmediate) {
         }
       }
 
+      // Put the box of a word with nothing to draw at the center.
+      if (!occupied.length) {
+        bounds = [cgh >> 1, cgw >> 1, cgh >> 1, cgw >> 1];
+      }
+
       if (debug) {
         fctx.fillStyle = 'rgba(0, 255, 0, 0.5)';
         fctx.fillRect(bounds[3] * g,
@@ -563,135 +1214,646 @@ if (!window.clearImmediate) {
                       (bounds[2] - bounds[0] + 1) * g);
       }
 
+      // Pack the occupied cells into a bitmask for each row of the box,
+      // for canFitText() to test against the grid 32 cells at a time.
+      var maskRowWords = 1;
+      var mask = new Uint32Array(0);
+      if (occupied.length) {
+        maskRowWords = (bounds[1] - bounds[3] + 32) >> 5;
+        mask = new Uint32Array(maskRowWords * (bounds[2] - bounds[0] + 1));
+        var i = occupied.length, mx;
+        while (i--) {
+          mx = occupied[i][0] - bounds[3];
+          mask[(occupied[i][1] - bounds[0]) * maskRowWords + (mx >> 5)] |=
+            1 << (mx & 31);
+        }
+      }
+
       // Return information needed to create the text on the real canvas
-      return {
+      var info = {
         mu: mu,
         occupied: occupied,
+        mask: mask,
+        maskRowWords: maskRowWords,
         bounds: bounds,
         gw: cgw,
         gh: cgh,
         fillTextOffsetX: fillTextOffsetX,
         fillTextOffsetY: fillTextOffsetY,
-        fontSize: fontSize
+        fillTextWidth: fw,
+        fillTextHeight: fh,
+        fontSize: fontSize,
+        fontWeight: fontWeight,
+        fontFamily: fontFamily
       };
+      setCachedTextInfo(cacheKey, info);
+      return info;
     };
 
     /* Determine if there is room available in the given dimension */
-    var canFitText = function canFitText(gx, gy, gw, gh, occupied) {
-      // Go through the occupied points,
-      // return false if the space is not available.
-      var i = occupied.length;
-      while (i--) {
-        var px = gx + occupied[i][0];
-        var py = gy + occupied[i][1];
+    var canFitText = function canFitText(gx, gy, gw, gh, info) {
+      // Reject it at once if the occupied box goes out of the grid,
+      // so the bitmask of the word is always within the grid below.
+      var bounds = info.bounds;
+      var left = gx + bounds[3];
+      var top = gy + bounds[0];
+      if (left < 0 || top < 0 ||
+          gx + bounds[1] >= ngx || gy + bounds[2] >= ngy) {
+        return false;
+      }
 
-        if (px >= ngx || py >= ngy || px < 0 || py < 0 || !grid[px][py]) {
-          return false;
+      // AND each row of the bitmask of the word, shifted to the position,
+      // with the grid, 32 cells at a time.
+      var mask = info.mask;
+      var maskRowWords = info.maskRowWords;
+      var shift = left & 31;
+      var rows = mask.length / maskRowWords;
+      var row, k, bits, gi;
+      for (row = 0; row < rows; row++) {
+        gi = (top + row) * gridRowWords + (left >> 5);
+        for (k = 0; k < maskRowWords; k++, gi++) {
+          bits = mask[row * maskRowWords + k];
+          if (!bits)
+            continue;
+
+          if (grid[gi] & (bits << shift))
+            return false;
+
+          // The bits shifted out go into the next word of the grid,
+          // which is there if there are any.
+          if (shift && (grid[gi + 1] & (bits >>> (32 - shift))))
+            return false;
         }
       }
       return true;
     };
 
-    /* Actually draw the text on the grid */
-    var drawText = function drawText(gx, gy, info, word, weight,
-                                     distance, theta, rotateDeg) {
+    /* Where and how the word is drawn when it is not being animated */
+    var getRestFrame = function getRestFrame(placement) {
+      return {
+        x: placement.x,
+        y: placement.y,
+        rotation: placement.rotation,
+        scale: 1,
+        opacity: 1
+      };
+    };
+
+    /* Where and how the word is drawn at the moment: where it is put,
+       unless it is being animated; see animate(). */
+    var getFrame = function getFrame(placement) {
+      return placement.frame || getRestFrame(placement);
+    };
+
+    /* Actually draw the text on the canvas, or the given context,
+       as in the given frame or where it is put */
+    var drawText = function drawText(context, placement, frame) {
+      var info = placement.info;
       var fontSize = info.fontSize;
       var mu = info.mu;
+      frame = frame || getFrame(placement);
 
       // Save the current state before messing it
-      ctx.save();
-      ctx.scale(1 / mu, 1 / mu);
+      context.save();
+      context.scale(1 / mu, 1 / mu);
 
-      ctx.font = settings.fontWeight + ' ' + (fontSize * mu).toString(10) + 'px ' + settings.fontFamily;
-      if (getTextColor) {
-        ctx.fillStyle = getTextColor(word, weight, fontSize, distance, theta);
-      } else {
-        ctx.fillStyle = settings.color;
-      }
-      ctx.textBaseline = 'alphabetic';
+      context.font = info.fontWeight + ' ' + (fontSize * mu).toString(10) +
+        'px ' + info.fontFamily;
+      context.fillStyle = placement.color;
+      context.textBaseline = 'alphabetic';
+      context.globalAlpha = frame.opacity;
 
       // Translate the canvas position to the origin coordinate of where
       // the text should be put.
-      ctx.translate((gx + info.gw / 2) * g * mu,
-                    (gy + info.gh / 2) * g * mu);
+      context.translate(frame.x * mu, frame.y * mu);
+
+      if (frame.rotation !== 0) {
+        context.rotate(- frame.rotation);
+      }
 
-      if (rotateDeg !== 0) {
-        ctx.rotate(- rotateDeg);
+      if (frame.scale !== 1) {
+        context.scale(frame.scale, frame.scale);
       }
 
       // Finally, fill the text.
-      ctx.fillText(word, info.fillTextOffsetX * mu,
-                         info.fillTextOffsetY * mu);
+      context.fillText(placement.word, info.fillTextOffsetX * mu,
+                                   info.fillTextOffsetY * mu);
 
       // Restore the state.
-      ctx.restore();
+      context.restore();
     };
 
-    /* Help function to updateGrid */
-    var fillGridAt = function fillGridAt(x, y, drawMask, dimension, item) {
-      if (x >= ngx || y >= ngy || x < 0 || y < 0)
-        return;
+    /* Transform of the <text> element, with the same translate/rotate/scale
+       as drawText() */
+    var getSVGTextTransform = function getSVGTextTransform(frame) {
+      var transform = 'translate(' + frame.x + ' ' + frame.y + ')';
+      if (frame.rotation !== 0) {
+        transform += ' rotate(' +
+          (- frame.rotation / Math.PI * 180).toString(10) + ')';
+      }
+      if (frame.scale !== 1) {
+        transform += ' scale(' + frame.scale + ')';
+      }
 
-      grid[x][y] = false;
+      return transform;
+    };
 
-      if (drawMask)
-        ctx.fillRect(x * g, y * g, maskRectWidth, maskRectWidth);
+    /* Attributes of the <text> element, with the same transform,
+       font and fill as drawText() */
+    var getSVGTextAttributes = function getSVGTextAttributes(placement,
+                                                             frame) {
+      var info = placement.info;
+      frame = frame || getFrame(placement);
+
+      var attributes = {
+        transform: getSVGTextTransform(frame),
+        x: info.fillTextOffsetX,
+        y: info.fillTextOffsetY,
+        'font-family': info.fontFamily,
+        'font-weight': info.fontWeight,
+        'font-size': info.fontSize + 'px',
+        fill: placement.color
+      };
+      if (frame.opacity !== 1)
+        attributes.opacity = frame.opacity;
 
-      if (interactive) {
-        infoGrid[x][y] = { item: item, dimension: dimension };
-      }
+      return attributes;
     };
 
-    /* Update the filling information of the given space with occupied points.
-       Draw the mask on the canvas if necessary. */
-    var updateGrid = function updateGrid(gx, gy, gw, gh, info, item) {
-      var occupied = info.occupied;
-      var maskRectWidth = g - settings.maskGapWidth;
-      var drawMask = settings.drawMask;
-      if (drawMask) {
-        ctx.save();
-        ctx.fillStyle = settings.maskColor;
+    /* Actually put the text in the svg */
+    var drawSVGText = function drawSVGText(placement) {
+      var text = createSVGElement('text',
+        getSVGTextAttributes(placement, placement.frame));
+      text.textContent = placement.word;
+      canvas.appendChild(text);
+      placement.element = text;
+    };
+
+    /* Move the <text> element to the frame it is animated to */
+    var setSVGTextFrame = function setSVGTextFrame(placement, frame) {
+      var text = placement.element;
+      text.setAttribute('transform', getSVGTextTransform(frame));
+      text.setAttribute('opacity', frame.opacity);
+    };
+
+    /* Position, rotate and scale the <span> as in drawText() */
+    var setDOMTextFrame = function setDOMTextFrame(placement, frame) {
+      var info = placement.info;
+      var mu = info.mu;
+      var width = info.fillTextWidth * mu;
+      var height = info.fillTextHeight * mu;
+
+      var transforms = [];
+      if (frame.rotation !== 0) {
+        transforms.push('rotate(' +
+          (- frame.rotation / Math.PI * 180).toString(10) + 'deg)');
+      }
+      // Scale the text back, in case it is smaller than the browser allows.
+      var scale = frame.scale / mu;
+      if (scale !== 1) {
+        transforms.push('scale(' + scale.toString(10) + ')');
       }
+      var transform = transforms.join(' ');
 
-      var dimension;
-      if (interactive) {
-        var bounds = info.bounds;
-        dimension = {
-          x: (gx + bounds[3]) * g,
-          y: (gy + bounds[0]) * g,
-          w: (bounds[1] - bounds[3] + 1) * g,
-          h: (bounds[2] - bounds[0] + 1) * g
-        };
+      var style = placement.element.style;
+      style.left = (frame.x - width / 2) + 'px';
+      style.top = (frame.y - height / 2) + 'px';
+      style.transform = style.webkitTransform = transform;
+      style.opacity = (frame.opacity === 1) ? '' : frame.opacity;
+    };
+
+    /* Actually put the text in the element, as an absolutely positioned
+       <span> with the same position, rotation, font and color as drawText() */
+    var drawDOMText = function drawDOMText(placement) {
+      var info = placement.info;
+      var mu = info.mu;
+      var width = info.fillTextWidth * mu;
+      var height = info.fillTextHeight * mu;
+
+      var span = document.createElement('span');
+      var style = span.style;
+      style.position = 'absolute';
+      style.display = 'block';
+      style.whiteSpace = 'nowrap';
+      style.width = width + 'px';
+      style.height = height + 'px';
+      style.lineHeight = height + 'px';
+      style.font = info.fontWeight + ' ' +
+        (info.fontSize * mu).toString(10) + 'px ' + info.fontFamily;
+      style.color = placement.color;
+      style.transformOrigin = style.webkitTransformOrigin = '50% 50%';
+
+      span.dataset.word = placement.word;
+      span.dataset.weight = placement.weight;
+      span.textContent = placement.word;
+      placement.element = span;
+      setDOMTextFrame(placement, getFrame(placement));
+      canvas.appendChild(span);
+    };
+
+    /* Draw the mask on the spaces occupied by the text */
+    var drawTextMask = function drawTextMask(placement) {
+      var occupied = placement.info.occupied;
+      var gx = placement.gx;
+      var gy = placement.gy;
+
+      var group;
+      if (renderer === 'svg') {
+        group = createSVGElement('g', { fill: settings.maskColor });
+      } else if (renderer === 'dom') {
+        group = document.createElement('div');
+      } else {
+        ctx.save();
+        ctx.fillStyle = settings.maskColor;
       }
 
       var i = occupied.length;
+      var x, y;
       while (i--) {
-        fillGridAt(gx + occupied[i][0], gy + occupied[i][1],
-                   drawMask, dimension, item);
+        x = gx + occupied[i][0];
+        y = gy + occupied[i][1];
+        if (x >= ngx || y >= ngy || x < 0 || y < 0)
+          continue;
+
+        if (renderer === 'svg') {
+          group.appendChild(createSVGElement('rect', {
+            x: x * g, y: y * g, width: maskRectWidth, height: maskRectWidth
+          }));
+        } else if (renderer === 'dom') {
+          var rect = document.createElement('div');
+          rect.style.position = 'absolute';
+          rect.style.left = (x * g) + 'px';
+          rect.style.top = (y * g) + 'px';
+          rect.style.width = rect.style.height = maskRectWidth + 'px';
+          rect.style.backgroundColor = settings.maskColor;
+          group.appendChild(rect);
+        } else {
+          ctx.fillRect(x * g, y * g, maskRectWidth, maskRectWidth);
+        }
       }
 
-      if (drawMask)
+      if (group) {
+        canvas.appendChild(group);
+        placement.maskElement = group;
+      } else {
         ctx.restore();
+      }
+    };
+
+    /* Paint a word put by putWord() */
+    var drawWord = function drawWord(placement) {
+      switch (renderer) {
+        case 'svg':
+          drawSVGText(placement);
+          break;
+
+        case 'dom':
+          drawDOMText(placement);
+          break;
+
+        default:
+          drawText(ctx, placement, placement.frame);
+          break;
+      }
+
+      if (settings.drawMask)
+        drawTextMask(placement);
+    };
+
+    /* Words being animated, each tweened from one frame to another */
+    var animations = [];
+
+    /* Words of the previous run to move to their new places in a transition,
+       painted where they were until then */
+    var pending = [];
+
+    /* Words of the previous run left out of this one, fading out */
+    var leaving = [];
+
+    var animationFrame;
+
+    /* Animations are painted over and over on a canvas, which needs to be
+       cleared each time; elements are simply changed. */
+    var canAnimate = function canAnimate() {
+      return (renderer === 'svg' || renderer === 'dom' ||
+              (renderer === 'canvas' && settings.clearCanvas));
+    };
+
+    /* Tween the word from one frame to another in animationDuration */
+    var animate = function animate(placement, from, to) {
+      placement.frame = from;
+      animations.push({
+        placement: placement,
+        from: from,
+        to: to,
+        start: (new Date()).getTime()
+      });
+
+      if (!animationFrame)
+        animationFrame = requestFrame(animationTick);
+    };
+
+    var requestFrame = function requestFrame(callback) {
+      return (typeof requestAnimationFrame === 'function') ?
+        requestAnimationFrame(callback) : setTimeout(callback, 16);
+    };
+
+    var cancelFrame = function cancelFrame(id) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(id);
+      } else {
+        clearTimeout(id);
+      }
+    };
+
+    var animationTick = function animationTick() {
+      var now = (new Date()).getTime();
+      animations = animations.filter(function tween(animation) {
+        var t = Math.min(1,
+          (now - animation.start) / Math.max(settings.animationDuration, 1));
+        // Ease out: fast first, then slowing down to a stop.
+        var p = 1 - Math.pow(1 - t, 3);
+        var frame = {};
+        for (var key in animation.to) {
+          frame[key] = animation.from[key] +
+            (animation.to[key] - animation.from[key]) * p;
+        }
+        animation.placement.frame = frame;
+
+        if (t === 1)
+          endAnimation(animation);
+
+        return t < 1;
+      });
+
+      paintFrame();
+
+      animationFrame = animations.length ?
+        requestFrame(animationTick) : undefined;
+    };
+
+    /* The word is in its last frame; the ones leaving are gone */
+    var endAnimation = function endAnimation(animation) {
+      var placement = animation.placement;
+      var i = leaving.indexOf(placement);
+      if (i === -1) {
+        placement.frame = undefined;
+        return;
+      }
+
+      leaving.splice(i, 1);
+      if (placement.element && placement.element.parentNode)
+        canvas.removeChild(placement.element);
+    };
+
+    /* Paint the words as they are in the animations */
+    var paintFrame = function paintFrame() {
+      if (renderer === 'canvas') {
+        fillBackground();
+        pending.concat(leaving).forEach(function paintOld(placement) {
+          drawText(ctx, placement, placement.frame);
+        });
+        placed.forEach(drawWord);
+        if (focused)
+          drawFocusRing(focused);
+        return;
+      }
+
+      animations.forEach(function move(animation) {
+        var placement = animation.placement;
+        if (!placement.element || !placement.element.parentNode)
+          return;
+
+        if (renderer === 'svg') {
+          setSVGTextFrame(placement, getFrame(placement));
+        } else {
+          setDOMTextFrame(placement, getFrame(placement));
+        }
+      });
+    };
+
+    /* Animate the word put by the loop in: from where it was before if it is
+       in a transition, or with the animation effects. */
+    var animateIn = function animateIn(placement) {
+      if (!canAnimate())
+        return;
+
+      var to = getFrame(placement);
+      var from;
+      var previous = takePending(placement.word);
+      if (previous) {
+        from = getFrame(previous);
+        // The new size is drawn scaled back to the old one at first.
+        from.scale *= previous.fontSize / placement.fontSize;
+        if (previous.element && previous.element.parentNode)
+          canvas.removeChild(previous.element);
+      } else if (settings.animation) {
+        from = getFrame(placement);
+        if (settings.animation.indexOf('fade') !== -1)
+          from.opacity = 0;
+        if (settings.animation.indexOf('scale') !== -1)
+          from.scale = 0;
+      } else {
+        return;
+      }
+
+      animate(placement, from, to);
+    };
+
+    /* The word of the previous run with the same text, if any */
+    var takePending = function takePending(word) {
+      for (var i = 0; i < pending.length; i++) {
+        if (pending[i].word === word)
+          return pending.splice(i, 1)[0];
+      }
+      return undefined;
+    };
+
+    /* Fade the word of the previous run out */
+    var animateOut = function animateOut(placement) {
+      var from = getFrame(placement);
+      var to = getFrame(placement);
+      to.opacity = 0;
+      leaving.push(placement);
+      animate(placement, from, to);
+    };
+
+    /* Set up a transition from the words drawn before, on a cleared canvas */
+    var startTransition = function startTransition(previous) {
+      var words = settings.list.map(getItemWord);
+      previous.forEach(function sortOut(placement) {
+        if (words.indexOf(placement.word) === -1) {
+          animateOut(placement);
+        } else {
+          pending.push(placement);
+        }
+
+        // Put the elements back, as they were.
+        if (renderer === 'svg') {
+          drawSVGText(placement);
+        } else if (renderer === 'dom') {
+          drawDOMText(placement);
+        }
+      });
+
+      if (renderer === 'canvas')
+        paintFrame();
+    };
+
+    /* Stop the animations where they are, and forget about them */
+    var stopAnimations = function stopAnimations() {
+      if (animationFrame)
+        cancelFrame(animationFrame);
+      animationFrame = undefined;
+      animations = [];
+      pending = [];
+      leaving = [];
+    };
+
+    /* Jump to the end of the animations */
+    var finishAnimations = function finishAnimations() {
+      if (!animations.length && !pending.length)
+        return;
+
+      animations.forEach(endAnimation);
+      pending.concat(leaving).forEach(function remove(placement) {
+        if (placement.element && placement.element.parentNode)
+          canvas.removeChild(placement.element);
+      });
+      pending = [];
+      leaving = [];
+      paintFrame();
+      stopAnimations();
+    };
+
+    /* Mark the cell on the grid as filled */
+    var setGridAt = function setGridAt(x, y) {
+      grid[y * gridRowWords + (x >> 5)] |= 1 << (x & 31);
+    };
+
+    /* Mark the cell on the grid as empty */
+    var clearGridAt = function clearGridAt(x, y) {
+      grid[y * gridRowWords + (x >> 5)] &= ~(1 << (x & 31));
+    };
+
+    /* Help function to updateGrid */
+    var fillGridAt = function fillGridAt(x, y, placement) {
+      if (x >= ngx || y >= ngy || x < 0 || y < 0)
+        return;
+
+      setGridAt(x, y);
+
+      if (interactive) {
+        infoGrid[x][y] = placement;
+      }
+    };
+
+    /* Update the filling information of the given space with occupied points */
+    var updateGrid = function updateGrid(gx, gy, gw, gh, placement) {
+      var occupied = placement.info.occupied;
+
+      var i = occupied.length;
+      while (i--) {
+        fillGridAt(gx + occupied[i][0], gy + occupied[i][1], placement);
+      }
+    };
+
+    /* Information of a word put at the given space */
+    var createPlacement = function createPlacement(item, gx, gy, info,
+                                                   rotateDeg, distance, theta) {
+      var word = getItemWord(item);
+      var weight = getItemWeight(item);
+      var color = getItemStyle(item).color;
+      var bounds = info.bounds;
+
+      return {
+        item: item,
+        word: word,
+        weight: weight,
+        // center of the text, where it is rotated around
+        x: (gx + info.gw / 2) * g,
+        y: (gy + info.gh / 2) * g,
+        fontSize: info.fontSize,
+        fontFamily: info.fontFamily,
+        fontWeight: info.fontWeight,
+        rotation: rotateDeg,
+        color: color || (getTextColor ?
+          getTextColor(word, weight, info.fontSize, distance, theta) :
+          settings.color),
+        distance: distance,
+        theta: theta,
+        // the box actually occupied, in pixels
+        dimension: {
+          x: (gx + bounds[3]) * g,
+          y: (gy + bounds[0]) * g,
+          w: (bounds[1] - bounds[3] + 1) * g,
+          h: (bounds[2] - bounds[0] + 1) * g
+        },
+        gx: gx,
+        gy: gy,
+        info: info
+      };
     };
 
     /* putWord() processes each item on the list,
-       calculate it's size and determine it's position, and actually
-       put it on the canvas. */
-    var putWord = function putWord(item) {
-      var word = item[0];
-      var weight = item[1];
-      var rotateDeg = getRotateDeg();
+       calculate it's size and determine it's position, and mark the spaces
+       as filled. Returns the placement of the word, or false if it won't fit.
+       The word is not painted here; see drawWord(). */
+    var putWord = function putWord(item, index) {
+      var word = getItemWord(item);
+      var weight = getItemWeight(item);
+      var style = getItemStyle(item);
+
+      var pinnedRotation = getPinnedRotation(item, index);
+      var rotateDeg = (pinnedRotation === undefined) ?
+        getRotateDeg() : pinnedRotation;
+
+      // The angles to try, the picked one first. A pinned one is the only one.
+      var rotations = [rotateDeg];
+      if (settings.retryRotations && pinnedRotation === undefined) {
+        getRotations().forEach(function addOther(rad) {
+          if (rad !== rotateDeg)
+            rotations.push(rad);
+        });
+      }
 
+      // calculate the acutal font size, and
       // get info needed to put the text onto the canvas
-      var info = getTextInfo(word, weight, rotateDeg);
+      var fontSize = getFontSize(weight);
+      var fontWeight = style.fontWeight ||
+        getFontOption('fontWeight', word, weight, fontSize);
+      var fontFamily = style.fontFamily ||
+        getFontOption('fontFamily', word, weight, fontSize);
+
+      do {
+        for (var i = 0; i < rotations.length; i++) {
+          var info = getTextInfo(word, fontSize, rotations[i],
+                                 fontWeight, fontFamily);
+
+          // not getting the info means we shouldn't be drawing this one.
+          if (!info)
+            return false;
 
-      // not getting the info means we shouldn't be drawing this one.
-      if (!info)
-        return false;
+          if (exceedTime())
+            return false;
 
-      if (exceedTime())
-        return false;
+          var placement = findSpace(item, info, rotations[i]);
+          if (placement)
+            return placement;
+        }
 
+        // Try again a bit smaller, until getTextInfo() says it is too small.
+        fontSize *= SHRINK_RATIO;
+      } while (settings.shrinkToFit && fontSize >= 1);
+
+      // the word won't fit at any angle or size, return false
+      return false;
+    };
+
+    /* Look for the space nearest to the center to put the measured word,
+       and mark the spaces as filled. Returns the placement of the word,
+       or false if it won't fit. */
+    var findSpace = function findSpace(item, info, rotateDeg) {
       // Skip the loop if we have already know the bounding box of
       // word is larger than the canvas.
       var bounds = info.bounds;
@@ -703,68 +1865,447 @@ if (!window.clearImmediate) {
       // Determine the position to put the text by
       // start looking for the nearest points
       var r = maxRadius + 1;
+      var placement = false;
+
+      var putWordAtPoint = function putWordAtPoint(gxy) {
+        var gx = Math.floor(gxy[0] - info.gw / 2);
+        var gy = Math.floor(gxy[1] - info.gh / 2);
+        var gw = info.gw;
+        var gh = info.gh;
+
+        // If we cannot fit the text at this position, return false
+        // and go to the next position.
+        if (!canFitText(gx, gy, gw, gh, info))
+          return false;
+
+        placement = createPlacement(item, gx, gy, info, rotateDeg,
+                                    maxRadius - r, gxy[2]);
+
+        // Mark the spaces on the grid as filled
+        updateGrid(gx, gy, gw, gh, placement);
+
+        // Return true so some() will stop and also return true.
+        return true;
+      };
 
       while (r--) {
         var points = getPointsAtRadius(maxRadius - r);
 
         if (settings.shuffle) {
           points = [].concat(points);
-          shuffleArray(points);
+          shuffleArray(points, random);
         }
 
         // Try to fit the words by looking at each point.
         // array.some() will stop and return true
         // when putWordAtPoint() returns true.
         // If all the points returns false, array.some() returns false.
-        var drawn = points.some(function putWordAtPoint(gxy) {
-          var gx = Math.floor(gxy[0] - info.gw / 2);
-          var gy = Math.floor(gxy[1] - info.gh / 2);
-          var gw = info.gw;
-          var gh = info.gh;
-
-          // If we cannot fit the text at this position, return false
-          // and go to the next position.
-          if (!canFitText(gx, gy, gw, gh, info.occupied))
-            return false;
-
-          // Actually put the text on the canvas
-          drawText(gx, gy, info, word, weight,
-                   (maxRadius - r), gxy[2], rotateDeg);
-
-          // Mark the spaces on the grid as filled
-          updateGrid(gx, gy, gw, gh, info, item);
-
-          // Return true so some() will stop and also return true.
-          return true;
-        });
-
-        if (drawn) {
-          // leave putWord() and return true
-          return true;
+        if (points.some(putWordAtPoint)) {
+          // leave putWord() and return the placement
+          return placement;
         }
       }
       // we tried all distances but text won't fit, return false
       return false;
     };
 
-    /* Send DOM event */
+    /* Put the word back where it was saved, e.g. by exportJSON(),
+       without looking for space. Returns the placement like putWord(). */
+    var restoreWord = function restoreWord(saved) {
+      var item = saved.item || [saved.word, saved.weight];
+      var rotateDeg = saved.rotation || 0;
+      var fontWeight = saved.fontWeight || getFontOption('fontWeight',
+        saved.word, saved.weight, saved.fontSize);
+      var fontFamily = saved.fontFamily || getFontOption('fontFamily',
+        saved.word, saved.weight, saved.fontSize);
+      var info = getTextInfo(saved.word, saved.fontSize, rotateDeg,
+                             fontWeight, fontFamily);
+      if (!info)
+        return false;
+
+      var gx = Math.round(saved.x / g - info.gw / 2);
+      var gy = Math.round(saved.y / g - info.gh / 2);
+      var placement = createPlacement(item, gx, gy, info, rotateDeg, 0, 0);
+
+      // Draw the text exactly where it was, and in the same color.
+      placement.x = saved.x;
+      placement.y = saved.y;
+      if (saved.color)
+        placement.color = saved.color;
+
+      return placement;
+    };
+
+    /* Send DOM event; there is none to send without the DOM, e.g. on Node */
     var sendEvent = function sendEvent(el, type, cancelable, detail) {
+      if (!el.dispatchEvent || typeof document === 'undefined')
+        return true;
+
       var evt = document.createEvent('CustomEvent');
       evt.initCustomEvent(type, true, cancelable, detail || {});
       return el.dispatchEvent(evt);
     };
 
-    /* Start drawing on a canvas */
-    var start = function start(canvas) {
-      // Sending a wordcloudstart event which cause the previous loop to stop.
-      // Do nothing if the event is canceled.
-      if (!sendEvent(canvas, 'wordcloudstart', true)) {
+    /* Add and remove event listeners, if the canvas takes them at all */
+    var listen = function listen(type, listener) {
+      if (canvas.addEventListener)
+        canvas.addEventListener(type, listener);
+    };
+
+    var unlisten = function unlisten(type, listener) {
+      if (canvas.removeEventListener)
+        canvas.removeEventListener(type, listener);
+    };
+
+    /* Drawing loop state, set when start() */
+    var items, // the list, or the items of the saved placements
+      loopIndex, // index of the next item in the list to put
+      timer,
+      loopingFunction, stoppingFunction,
+      running = false,
+      paused = false;
+
+    /* Placements worked out by the worker, in the order of the list,
+       false for the items that won't fit; null without useWorker */
+    var precomputed = null;
+    var worker, // created on the first use
+      workerJob = 0, // to tell the response of an earlier run
+      waitingForWorker = false;
+
+    /* Items drawn and dropped in this run, reported when the run is done */
+    var drawnItems, droppedItems, resolveDone;
+
+    /* Placements of the words drawn in this run, for exporting */
+    var placed = [];
+
+    /* The loop is not ours to carry on, after destroy() or when another cloud
+       started on the canvas */
+    var detached = false;
+
+    /* Start over the items reported and the done promise */
+    var renewDone = function renewDone() {
+      drawnItems = [];
+      droppedItems = [];
+      if (typeof Promise === 'function') {
+        cloud.done = new Promise(function waitForDone(resolve) {
+          resolveDone = resolve;
+        });
+      }
+    };
+
+    var settleDone = function settleDone(aborted) {
+      if (!resolveDone)
+        return;
+
+      resolveDone({
+        drawn: drawnItems,
+        dropped: droppedItems,
+        aborted: aborted
+      });
+      resolveDone = undefined;
+    };
+
+    /* Stop the timer and forget about the loop */
+    var stopLoop = function stopLoop(aborted) {
+      stoppingFunction(timer);
+      running = paused = false;
+
+      // Ignore the placements from the worker if it is still working.
+      waitingForWorker = false;
+      workerJob++;
+
+      unlisten('wordcloudstart', anotherWordCloudStart);
+      settleDone(aborted);
+
+      // The words of the previous run not drawn this time fade out.
+      pending.splice(0).forEach(animateOut);
+
+      updateWordList();
+    };
+
+    /* Another WordCloud() started on the same canvas, stop quietly */
+    var anotherWordCloudStart = function anotherWordCloudStart() {
+      stopLoop(true);
+      stopAnimations();
+      unobserveResize();
+      detached = true;
+    };
+
+    var stopInteraction = function stopInteraction() {
+      unlisten('wordcloudstart', stopInteraction);
+
+      unlisten('mousemove', wordcloudhover);
+      unlisten('click', wordcloudclick);
+      unlisten('keydown', wordcloudkeydown);
+      unlisten('blur', wordcloudblur);
+      hovered = undefined;
+      // Forget it first, so the ring is not painted back on a canvas.
+      var previous = focused;
+      focused = undefined;
+      if (previous)
+        eraseFocusRing(previous);
+    };
+
+    /* Return true if the layout can be worked out in a worker */
+    var canUseWorker = function canUseWorker() {
+      return settings.useWorker &&
+        typeof Worker === 'function' &&
+        typeof OffscreenCanvas === 'function' &&
+        !!(settings.workerURL || scriptURL) &&
+        // The shape callback can't be sent to the worker.
+        typeof givenOptions.shape !== 'function' &&
+        // The pixels of the canvas can't be read back from the worker.
+        (settings.clearCanvas || renderer !== 'canvas');
+    };
+
+    /* The options to send to the worker: what can be cloned */
+    var getWorkerOptions = function getWorkerOptions() {
+      var workerOptions = {};
+      for (var key in givenOptions) {
+        if (typeof givenOptions[key] !== 'function')
+          workerOptions[key] = givenOptions[key];
+      }
+
+      // Resolve the font sizes, fonts and pinned rotations here, so
+      // weightFactor, fontFamily, fontWeight and rotation could be callbacks,
+      // and to leave out anything else in the items but the styles.
+      workerOptions.list = settings.list.map(function getSize(item, i) {
+        var word = getItemWord(item);
+        var weight = getItemWeight(item);
+        var fontSize = getFontSize(weight);
+        var style = getItemStyle(item);
+        return [word, fontSize, {
+          color: style.color,
+          fontFamily: style.fontFamily ||
+            getFontOption('fontFamily', word, weight, fontSize),
+          fontWeight: style.fontWeight ||
+            getFontOption('fontWeight', word, weight, fontSize),
+          rotation: getPinnedRotation(item, i)
+        }];
+      });
+      workerOptions.weightFactor = 1;
+      workerOptions.width = elementWidth;
+      workerOptions.height = elementHeight;
+
+      // Images and canvases can't be sent, but their pixels can.
+      var image = settings.maskImage;
+      if (image && (image.getContext || !image.data)) {
+        var mcanvas = createCanvas();
+        mcanvas.width = image.naturalWidth || image.width;
+        mcanvas.height = image.naturalHeight || image.height;
+        var mctx = mcanvas.getContext('2d');
+        mctx.drawImage(image, 0, 0);
+        workerOptions.maskImage =
+          mctx.getImageData(0, 0, mcanvas.width, mcanvas.height);
+      }
+
+      return workerOptions;
+    };
+
+    /* Get the placements from the worker, and start the loop to paint them.
+       Fall back to work them out here if the worker fails. */
+    var layoutInWorker = function layoutInWorker() {
+      if (!worker) {
+        worker = new Worker(settings.workerURL || scriptURL);
+      }
+
+      var job = workerJob;
+      // The list as sent, as add() and remove() could change it meanwhile
+      var list = settings.list.slice();
+      var done = function workerDone(placements) {
+        if (job !== workerJob || !waitingForWorker)
+          return;
+
+        waitingForWorker = false;
+        precomputed = placements;
+        if (!paused)
+          timer = loopingFunction(loop, settings.wait);
+      };
+
+      worker.onmessage = function workerMessage(evt) {
+        // The worker answers in turn, so it could be an earlier run.
+        if (!evt.data || evt.data.job !== job)
+          return;
+
+        var placements = evt.data.placements.map(
+        function restorePlacement(placement, i) {
+          if (!placement)
+            return false;
+
+          // The worker only knew the font size as the weight.
+          var item = list[i];
+          placement.item = item;
+          placement.weight = getItemWeight(item);
+          if (typeof settings.color === 'function' &&
+              !getItemStyle(item).color) {
+            placement.color = getTextColor(placement.word, placement.weight,
+                                           placement.fontSize,
+                                           placement.distance,
+                                           placement.theta);
+          }
+
+          return placement;
+        });
+
+        // Leave out the items removed since; the ones added after them
+        // are put by the loop.
+        var j = 0;
+        done(placements.filter(function isKept(placement, i) {
+          if (items[j] !== list[i])
+            return false;
+
+          j++;
+          return true;
+        }));
+      };
+
+      worker.onerror = function workerError(evt) {
+        evt.preventDefault();
+        done(null);
+      };
+
+      waitingForWorker = true;
+      worker.postMessage({
+        wordcloud2: true,
+        job: job,
+        options: getWorkerOptions()
+      });
+    };
+
+    var loop = function loop() {
+      if (loopIndex >= items.length) {
+        stopLoop(false);
+        sendEvent(canvas, 'wordcloudstop', false);
+
         return;
       }
+      escapeTime = (new Date()).getTime();
+      var placement;
+      // The words added after the precomputed ones are put here.
+      if (precomputed && loopIndex < precomputed.length) {
+        placement = precomputed[loopIndex];
+        if (placement) {
+          updateGrid(placement.gx, placement.gy,
+                     placement.info.gw, placement.info.gh, placement);
+        }
+      } else {
+        placement = putWord(items[loopIndex], loopIndex);
+      }
+      var drawn = !!placement;
+      if (drawn) {
+        animateIn(placement);
+        drawWord(placement);
+        placed.push(placement);
+      }
+
+      (drawn ? drawnItems : droppedItems).push(items[loopIndex]);
+      var canceled = !sendEvent(canvas, 'wordclouddrawn', true, {
+        item: items[loopIndex], drawn: drawn });
+      // Past the item even if stopped here, so add() carries on after it.
+      loopIndex++;
+      if (exceedTime() || canceled) {
+        stopLoop(true);
+        settings.abort();
+        sendEvent(canvas, 'wordcloudabort', false);
+        sendEvent(canvas, 'wordcloudstop', false);
+        return;
+      }
+      timer = loopingFunction(loop, settings.wait);
+    };
 
-      ngx = Math.floor(canvas.width / g);
-      ngy = Math.floor(canvas.height / g);
-      ctx = canvas.getContext('2d');
+    /* Mark the spaces not covered by the opaque pixels of maskImage
+       as filled, the same way clearCanvas: false marks the painted ones */
+    var applyMaskImage = function applyMaskImage() {
+      var image = settings.maskImage;
+
+      // ImageData can only be put on a canvas, not drawn with scaling.
+      if (!image.getContext && image.data) {
+        var icanvas = createCanvas();
+        icanvas.width = image.width;
+        icanvas.height = image.height;
+        icanvas.getContext('2d').putImageData(image, 0, 0);
+        image = icanvas;
+      }
+
+      // Stretch the image over the grid and read back the pixels.
+      var width = ngx * g;
+      var height = ngy * g;
+      var mcanvas = createCanvas();
+      mcanvas.width = width;
+      mcanvas.height = height;
+      var mctx = mcanvas.getContext('2d');
+      mctx.drawImage(image, 0, 0, width, height);
+      var imageData = mctx.getImageData(0, 0, width, height).data;
+
+      var gx = ngx, gy, x, y;
+      while (gx--) {
+        gy = ngy;
+        while (gy--) {
+          y = g;
+          singleGridLoop: while (y--) {
+            x = g;
+            while (x--) {
+              if (imageData[((gy * g + y) * width +
+                             (gx * g + x)) * 4 + 3] < 128) {
+                setGridAt(gx, gy);
+                break singleGridLoop;
+              }
+            }
+          }
+        }
+      }
+    };
+
+    /* Size the backing store of the canvas for pixelRatio, if it is set.
+       The size in CSS pixels is taken from the style if it is set there,
+       e.g. by an earlier run, or from the stylesheets; failing those,
+       the width and height of the canvas are kept as the size. */
+    var setupCanvasSize = function setupCanvasSize() {
+      elementWidth = canvas.width;
+      elementHeight = canvas.height;
+      pixelRatio = 1;
+
+      // Without the style, e.g. on Node.js, there are only the pixels.
+      if (!settings.pixelRatio || !canvas.style)
+        return;
+
+      pixelRatio = settings.pixelRatio;
+
+      var style = canvas.style;
+      var rect = canvas.getBoundingClientRect();
+      if (/px$/.test(style.width) && /px$/.test(style.height)) {
+        elementWidth = parseFloat(style.width);
+        elementHeight = parseFloat(style.height);
+      } else if (rect.width && rect.height &&
+                 (rect.width !== elementWidth ||
+                  rect.height !== elementHeight)) {
+        // Sized by the stylesheets, which are left to size it.
+        elementWidth = rect.width;
+        elementHeight = rect.height;
+      } else if (pixelRatio === 1) {
+        return;
+      } else {
+        style.width = elementWidth + 'px';
+        style.height = elementHeight + 'px';
+      }
+
+      var width = Math.round(elementWidth * pixelRatio);
+      var height = Math.round(elementHeight * pixelRatio);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    };
+
+    /* Set up an empty grid for the given width and height in pixels */
+    var setupGrid = function setupGrid(width, height) {
+      // Reset the random sequence so the same seed always draws the same cloud.
+      random = (settings.seed == null) ?
+        Math.random : createRandom(settings.seed);
+
+      ngx = Math.floor(width / g);
+      ngy = Math.floor(height / g);
+      pointsAtRadius = [];
 
       // Determine the center of the word cloud
       center = (settings.origin) ?
@@ -774,40 +2315,285 @@ if (!window.clearImmediate) {
       // Maxium radius to look for space
       maxRadius = Math.floor(Math.sqrt(ngx * ngx + ngy * ngy));
 
+      /* fill the grid with empty state; one more word at the end of the
+         last row for canFitText() to read past */
+      gridRowWords = (ngx + 31) >> 5;
+      grid = new Uint32Array(gridRowWords * ngy + 1);
+
+      if (settings.maskImage)
+        applyMaskImage();
+    };
+
+    /* Search for the weightFactor that fits the first settings.fitRatio of
+       the list into the given size, by laying out the words without painting
+       them. The grid is left dirty; set it up again afterwards.
+       abortThreshold is not applied here, or a word taking too long would
+       be taken as too big. */
+    var fitWeightFactor = function fitWeightFactor(width, height) {
+      var list = settings.list;
+      var maxWeight = 0;
+      list.forEach(function getMaxWeight(item) {
+        if (getItemWeight(item) > maxWeight)
+          maxWeight = getItemWeight(item);
+      });
+
+      autoFactor = 1;
+      if (!maxWeight)
+        return;
+
+      // The list is drawn in order, so the words to fit are the first ones;
+      // the ones after them can't take their space.
+      var count = Math.ceil(list.length * settings.fitRatio);
+      interactive = false;
+
+      var fits = function fits() {
+        setupGrid(width, height);
+        for (var i = 0; i < count; i++) {
+          // The words too small to draw are left out in any case, e.g. of
+          // weight 0; only the ones without space make the factor too big.
+          if (getFontSize(getItemWeight(list[i])) <= settings.minSize)
+            continue;
+
+          if (!putWord(list[i], i))
+            return false;
+        }
+        return true;
+      };
+
+      fitting = true;
+
+      // The heaviest word as tall as the canvas is surely too big,
+      // unless it is all we have to fit.
+      var hi = height / maxWeight;
+      var lo = hi / 10000;
+      autoFactor = hi;
+      if (fits()) {
+        fitting = false;
+        return;
+      }
+
+      // Narrow it down on a log scale.
+      var steps = 12;
+      while (steps--) {
+        autoFactor = Math.sqrt(lo * hi);
+        if (fits()) {
+          lo = autoFactor;
+        } else {
+          hi = autoFactor;
+        }
+      }
+      autoFactor = lo;
+      fitting = false;
+    };
+
+    /* Work out the position of all the words at once, without painting.
+       Returns the placements of the words that fit. */
+    var layout = function layout() {
+      if (autoFit)
+        fitWeightFactor(settings.width, settings.height);
+
+      setupGrid(settings.width, settings.height);
+      interactive = false;
+
+      var placements = [];
+      var i, placement;
+      for (i = 0; i < settings.list.length; i++) {
+        escapeTime = (new Date()).getTime();
+        placement = putWord(settings.list[i], i);
+        if (placement)
+          placements.push(placement);
+
+        if (exceedTime()) {
+          settings.abort();
+          break;
+        }
+      }
+
+      return placements;
+    };
+
+    /* Watch the size of the container in responsive mode */
+    var resizeObserver, resizeTimer;
+
+    /* display of the element before it is made a block in responsive mode */
+    var inlineDisplay;
+
+    var observeResize = function observeResize() {
+      // The spans are in the element, other elements are in the container.
+      var container = (renderer === 'dom') ? canvas : canvas.parentNode;
+      if (!settings.responsive || !container ||
+          typeof ResizeObserver !== 'function') {
+        unobserveResize();
+        return;
+      }
+
+      if (resizeObserver)
+        return;
+
+      // An inline element sits on the baseline of the container, which is
+      // then taller than the element. The element would be resized to
+      // the container and make it grow again, over and over.
+      if (renderer !== 'dom') {
+        inlineDisplay = canvas.style.display;
+        canvas.style.display = 'block';
+      }
+
+      resizeObserver = new ResizeObserver(function containerResized(entries) {
+        var rect = entries[0].contentRect;
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(function resizeDelayed() {
+          resize(Math.floor(rect.width), Math.floor(rect.height));
+        }, settings.responsiveDelay);
+      });
+      resizeObserver.observe(container);
+    };
+
+    var unobserveResize = function unobserveResize() {
+      clearTimeout(resizeTimer);
+      if (!resizeObserver)
+        return;
+
+      resizeObserver.disconnect();
+      resizeObserver = undefined;
+      if (renderer !== 'dom')
+        canvas.style.display = inlineDisplay;
+    };
+
+    /* Fit the element to the new size of the container and start over */
+    var resize = function resize(width, height) {
+      // Nothing to do if it is hidden, or the size is not changed
+      // (The observer tells the size as soon as it starts observing.),
+      // or if the element is taken over by another cloud.
+      if (detached || !width || !height ||
+          (width === elementWidth && height === elementHeight))
+        return;
+
+      switch (renderer) {
+        case 'canvas':
+          canvas.style.width = width + 'px';
+          canvas.style.height = height + 'px';
+          canvas.width = width;
+          canvas.height = height;
+          break;
+
+        case 'svg':
+          canvas.setAttribute('width', width);
+          canvas.setAttribute('height', height);
+          break;
+      }
+
+      start();
+    };
+
+    /* Clear the canvas with the background color */
+    var fillBackground = function fillBackground() {
+      ctx.fillStyle = settings.backgroundColor;
+      ctx.clearRect(0, 0, ngx * (g + 1), ngy * (g + 1));
+      ctx.fillRect(0, 0, ngx * (g + 1), ngy * (g + 1));
+    };
+
+    /* Start drawing on a canvas */
+    var start = function start() {
+      // The words drawn so far, to move from in a transition
+      var previous = placed.concat(pending);
+      pending = [];
+
+      // Stop our own previous loop first, so it would not take the new promise.
+      if (running)
+        stopLoop(true);
+      stopAnimations();
+
+      placed = [];
+      detached = false;
+      renewDone();
+
+      // Sending a wordcloudstart event which cause the previous loop to stop.
+      // Do nothing if the event is canceled.
+      if (!sendEvent(canvas, 'wordcloudstart', true)) {
+        settleDone(true);
+        return;
+      }
+
+      if (renderer === 'svg') {
+        elementWidth = canvas.width.baseVal.value;
+        elementHeight = canvas.height.baseVal.value;
+      } else if (renderer === 'dom') {
+        elementWidth = canvas.clientWidth;
+        elementHeight = canvas.clientHeight;
+      } else {
+        setupCanvasSize();
+        ctx = canvas.getContext('2d');
+
+        // Everything is laid out and drawn in CSS pixels from here.
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      }
+      // Scale the words with the area in responsive mode,
+      // so the cloud still fills the space. An 'auto' weightFactor is
+      // fitted to the new area on its own.
+      if (!baseArea)
+        baseArea = elementWidth * elementHeight;
+      areaScale = (settings.responsive && !autoFit) ?
+        Math.sqrt(elementWidth * elementHeight / baseArea) : 1;
+      observeResize();
+
+      if (autoFit && !settings.placements)
+        fitWeightFactor(elementWidth, elementHeight);
+
+      setupGrid(elementWidth, elementHeight);
+
       /* Clear the canvas only if the clearCanvas is set,
          if not, update the grid to the current canvas state */
-      grid = [];
-
-      if (settings.clearCanvas) {
-        ctx.fillStyle = settings.backgroundColor;
-        ctx.clearRect(0, 0, ngx * (g + 1), ngy * (g + 1));
-        ctx.fillRect(0, 0, ngx * (g + 1), ngy * (g + 1));
+      if (renderer === 'svg' || renderer === 'dom') {
+        /* There are no pixels to read back from elements; without clearCanvas
+           the words are simply added on top of what's there. */
+        if (settings.clearCanvas) {
+          while (canvas.firstChild) {
+            canvas.removeChild(canvas.firstChild);
+          }
 
-        /* fill the grid with empty state */
-        var gx = ngx, gy;
-        while (gx--) {
-          grid[gx] = [];
-          gy = ngy;
-          while (gy--) {
-            grid[gx][gy] = true;
+          if (renderer === 'svg') {
+            canvas.appendChild(createSVGElement('rect', {
+              width: '100%', height: '100%', fill: settings.backgroundColor
+            }));
+          } else {
+            canvas.style.backgroundColor = settings.backgroundColor;
           }
         }
+
+        // The spans are positioned against the element.
+        if (renderer === 'dom' &&
+            window.getComputedStyle(canvas).position === 'static') {
+          canvas.style.position = 'relative';
+        }
+      } else if (settings.clearCanvas) {
+        fillBackground();
       } else {
         /* Determine bgPixel by creating
            another canvas and fill the specified background color */
-        var bctx = document.createElement('canvas').getContext('2d');
+        var bctx = createCanvas().getContext('2d');
 
         bctx.fillStyle = settings.backgroundColor;
         bctx.fillRect(0, 0, 1, 1);
         var bgPixel = bctx.getImageData(0, 0, 1, 1).data;
 
         /* Read back the pixels of the canvas we got to tell which part of the
-           canvas is empty. */
-        var imageData = ctx.getImageData(0, 0, ngx * g, ngy * g).data;
+           canvas is empty. Scale them back to CSS pixels first. */
+        var imageData;
+        if (pixelRatio === 1) {
+          imageData = ctx.getImageData(0, 0, ngx * g, ngy * g).data;
+        } else {
+          var scanvas = createCanvas();
+          scanvas.width = ngx * g;
+          scanvas.height = ngy * g;
+          var sctx = scanvas.getContext('2d');
+          sctx.drawImage(canvas,
+                         0, 0, ngx * g * pixelRatio, ngy * g * pixelRatio,
+                         0, 0, ngx * g, ngy * g);
+          imageData = sctx.getImageData(0, 0, ngx * g, ngy * g).data;
+        }
 
         var gx = ngx, gy, x, y, i;
         while (gx--) {
-          grid[gx] = [];
           gy = ngy;
           while (gy--) {
             y = g;
@@ -818,15 +2604,12 @@ if (!window.clearImmediate) {
                 while (i--) {
                   if (imageData[((gy * g + y) * ngx * g +
                                  (gx * g + x)) * 4 + i] !== bgPixel[i]) {
-                    grid[gx][gy] = false;
+                    setGridAt(gx, gy);
                     break singleGridLoop;
                   }
                 }
               }
             }
-            if (grid[gx][gy] !== false) {
-              grid[gx][gy] = true;
-            }
           }
         }
 
@@ -834,10 +2617,10 @@ if (!window.clearImmediate) {
       }
 
       // fill the infoGrid with empty state if we need it
-      if (settings.hover || settings.click) {
-
-        interactive = true;
-
+      interactive = !!(settings.hover || settings.click);
+      infoGrid = [];
+      hovered = undefined;
+      if (interactive) {
         /* fill the grid with empty state */
         var gx = ngx + 1;
         while (gx--) {
@@ -845,73 +2628,519 @@ if (!window.clearImmediate) {
         }
 
         if (settings.hover) {
-          canvas.addEventListener('mousemove', wordcloudhover);
+          listen('mousemove', wordcloudhover);
         }
 
         if (settings.click) {
-          canvas.addEventListener('click', wordcloudclick);
+          listen('click', wordcloudclick);
         }
 
-        canvas.addEventListener('wordcloudstart', function stopInteraction() {
-          canvas.removeEventListener('wordcloudstart', stopInteraction);
+        if (settings.keyboard) {
+          listen('keydown', wordcloudkeydown);
+          listen('blur', wordcloudblur);
+        }
 
-          canvas.removeEventListener('mousemove', wordcloudhover);
-          canvas.removeEventListener('click', wordcloudclick);
-          hovered = undefined;
-        });
+        listen('wordcloudstart', stopInteraction);
       }
+      if (focusRing && focusRing.parentNode)
+        canvas.removeChild(focusRing);
+      focused = focusRing = undefined;
+      setupAccessibility();
 
-      var i = 0;
-      var loopingFunction, stoppingFunction;
       if (settings.wait !== 0) {
-        loopingFunction = window.setTimeout;
-        stoppingFunction = window.clearTimeout;
+        loopingFunction = setTimeout;
+        stoppingFunction = clearTimeout;
+      } else {
+        loopingFunction = setImmediate;
+        stoppingFunction = clearImmediate;
+      }
+
+      listen('wordcloudstart', anotherWordCloudStart);
+
+      if (settings.transition && settings.clearCanvas && canAnimate())
+        startTransition(previous);
+
+      loopIndex = 0;
+      running = true;
+      paused = false;
+      // A copy, so add() does not change the list given.
+      items = settings.list.slice();
+      precomputed = null;
+
+      if (settings.placements) {
+        // Paint the saved placements instead of putting the words.
+        var saved = settings.placements;
+        if (typeof saved === 'string')
+          saved = JSON.parse(saved);
+        if (saved.words)
+          saved = saved.words;
+
+        precomputed = saved.map(restoreWord);
+        items = saved.map(function getItem(savedWord, i) {
+          return precomputed[i] ? precomputed[i].item :
+            (savedWord.item || [savedWord.word, savedWord.weight]);
+        });
+        timer = loopingFunction(loop, settings.wait);
+      } else if (canUseWorker()) {
+        layoutInWorker();
       } else {
-        loopingFunction = window.setImmediate;
-        stoppingFunction = window.clearImmediate;
+        timer = loopingFunction(loop, settings.wait);
+      }
+    };
+
+    /* Stop the drawing loop for good, leaving the canvas as it is */
+    var stop = function stop() {
+      if (!running)
+        return;
+
+      stopLoop(true);
+      sendEvent(canvas, 'wordcloudstop', false);
+    };
+
+    /* Hold the drawing loop before the next item until resume() */
+    var pause = function pause() {
+      if (!running || paused)
+        return;
+
+      stoppingFunction(timer);
+      paused = true;
+    };
+
+    var resume = function resume() {
+      if (!paused)
+        return;
+
+      paused = false;
+
+      // The loop will be started when the worker is done.
+      if (!waitingForWorker)
+        timer = loopingFunction(loop, settings.wait);
+    };
+
+    /* Start over, with the new options applied on top of the current ones */
+    var redraw = function redraw(newOptions) {
+      if (newOptions)
+        configure(newOptions);
+
+      start();
+    };
+
+    /* Stop drawing and remove all the event listeners added to the canvas */
+    var destroy = function destroy() {
+      stop();
+      detached = true;
+      finishAnimations();
+      stopInteraction();
+      unobserveResize();
+
+      if (worker) {
+        worker.terminate();
+        worker = undefined;
       }
 
-      var anotherWordCloudStart = function anotherWordCloudStart() {
-        canvas.removeEventListener('wordcloudstart', anotherWordCloudStart);
-        stoppingFunction(timer);
+      removeAccessibility();
+    };
+
+    /* Put more words on the cloud, around the ones already there */
+    var add = function add(newItems) {
+      if (detached)
+        return;
+
+      // They are in the list to draw again, e.g. when redraw().
+      settings.list = givenOptions.list = settings.list.concat(newItems);
+      // Only the new ones are put, not the ones left by stop() or an abort.
+      if (!running)
+        loopIndex = items.length;
+      items = items.concat(newItems);
+      if (running)
+        return;
+
+      // Carry on with the loop for the new words.
+      renewDone();
+      running = true;
+      paused = false;
+      listen('wordcloudstart', anotherWordCloudStart);
+      timer = loopingFunction(loop, settings.wait);
+    };
+
+    /* Take the word off the cloud, and free its space for the others */
+    var remove = function remove(word) {
+      if (detached)
+        return;
+
+      var isOther = function isOther(item) {
+        return getItemWord(item) !== word;
       };
+      settings.list = givenOptions.list = settings.list.filter(isOther);
+
+      // Skip it in the loop if it is not put yet.
+      var i = items.length;
+      while (i-- > loopIndex) {
+        if (!isOther(items[i])) {
+          items.splice(i, 1);
+          if (precomputed && i < precomputed.length)
+            precomputed.splice(i, 1);
+        }
+      }
 
-      canvas.addEventListener('wordcloudstart', anotherWordCloudStart);
+      placed.filter(function isRemoved(placement) {
+        return placement.word === word;
+      }).forEach(removePlacement);
 
-      var timer = loopingFunction(function loop() {
-        if (i >= settings.list.length) {
-          stoppingFunction(timer);
-          sendEvent(canvas, 'wordcloudstop', false);
-          canvas.removeEventListener('wordcloudstart', anotherWordCloudStart);
+      if (!running)
+        updateWordList();
+    };
 
-          return;
+    var removePlacement = function removePlacement(placement) {
+      placed.splice(placed.indexOf(placement), 1);
+      if (hovered === placement)
+        hovered = undefined;
+      if (focused === placement)
+        focusWord(undefined);
+
+      // Free the spaces on the grid
+      var occupied = placement.info.occupied;
+      var i = occupied.length;
+      var x, y;
+      while (i--) {
+        x = placement.gx + occupied[i][0];
+        y = placement.gy + occupied[i][1];
+        if (x >= ngx || y >= ngy || x < 0 || y < 0)
+          continue;
+
+        clearGridAt(x, y);
+        if (interactive && infoGrid[x][y] === placement)
+          infoGrid[x][y] = undefined;
+      }
+
+      if (renderer !== 'canvas') {
+        [placement.element, placement.maskElement].forEach(function drop(el) {
+          if (el && el.parentNode)
+            canvas.removeChild(el);
+        });
+        return;
+      }
+
+      repaintRegion(placement.dimension);
+    };
+
+    /* Paint the background over the box on the canvas, and the words
+       and the focus ring in it again */
+    var repaintRegion = function repaintRegion(box) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(box.x, box.y, box.w, box.h);
+      ctx.clip();
+      ctx.fillStyle = settings.backgroundColor;
+      ctx.clearRect(box.x, box.y, box.w, box.h);
+      ctx.fillRect(box.x, box.y, box.w, box.h);
+      placed.forEach(function repaint(other) {
+        var d = other.dimension;
+        if (d.x < box.x + box.w && box.x < d.x + d.w &&
+            d.y < box.y + box.h && box.y < d.y + d.h)
+          drawWord(other);
+      });
+      if (focused)
+        drawFocusRing(focused);
+      ctx.restore();
+    };
+
+    /* Export the words drawn so far as a PNG image, resolved with a Blob */
+    var exportPNG = function exportPNG() {
+      return new Promise(function toBlob(resolve, reject) {
+        var pcanvas = canvas;
+
+        // Paint the words where they are put on a canvas if they are not
+        // on one already, or if it is in the middle of the animations.
+        if (renderer !== 'canvas' || animations.length) {
+          pcanvas = createCanvas();
+          pcanvas.width = Math.round(elementWidth * pixelRatio);
+          pcanvas.height = Math.round(elementHeight * pixelRatio);
+          var pctx = pcanvas.getContext('2d');
+          pctx.scale(pixelRatio, pixelRatio);
+          pctx.fillStyle = settings.backgroundColor;
+          pctx.fillRect(0, 0, elementWidth, elementHeight);
+          placed.forEach(function drawPlaced(placement) {
+            drawText(pctx, placement, getRestFrame(placement));
+          });
         }
-        escapeTime = (new Date()).getTime();
-        var drawn = putWord(settings.list[i]);
-        var canceled = !sendEvent(canvas, 'wordclouddrawn', true, {
-          item: settings.list[i], drawn: drawn });
-        if (exceedTime() || canceled) {
-          stoppingFunction(timer);
-          settings.abort();
-          sendEvent(canvas, 'wordcloudabort', false);
-          sendEvent(canvas, 'wordcloudstop', false);
-          canvas.removeEventListener('wordcloudstart', anotherWordCloudStart);
+
+        if (!pcanvas.toBlob) {
+          reject(new Error('The canvas cannot be exported as a Blob.'));
           return;
         }
-        i++;
-        timer = loopingFunction(loop, settings.wait);
-      }, settings.wait);
+
+        pcanvas.toBlob(resolve, 'image/png');
+      });
+    };
+
+    /* Export the words drawn so far as an SVG document */
+    var exportSVG = function exportSVG() {
+      var svg = '<svg xmlns="' + SVG_NS + '"' +
+        ' width="' + elementWidth + '" height="' + elementHeight + '">' +
+        '<rect width="100%" height="100%"' +
+        ' fill="' + escapeXML(settings.backgroundColor) + '"/>';
+
+      placed.forEach(function addText(placement) {
+        var attributes = getSVGTextAttributes(placement,
+                                              getRestFrame(placement));
+        svg += '<text';
+        for (var key in attributes) {
+          svg += ' ' + key + '="' + escapeXML(attributes[key]) + '"';
+        }
+        svg += '>' + escapeXML(placement.word) + '</text>';
+      });
+
+      return svg + '</svg>';
+    };
+
+    /* Export the words drawn so far as a JSON document, with the same
+       information of each word as WordCloud.layout() */
+    var exportJSON = function exportJSON() {
+      return JSON.stringify({
+        width: elementWidth,
+        height: elementHeight,
+        backgroundColor: settings.backgroundColor,
+        fontFamily: settings.fontFamily,
+        fontWeight: settings.fontWeight,
+        words: placed.map(getLayoutOf)
+      });
     };
 
+    var cloud = {
+      done: undefined, // set when start()
+      stop: stop,
+      pause: pause,
+      resume: resume,
+      redraw: redraw,
+      destroy: destroy,
+      add: add,
+      remove: remove,
+      exportPNG: exportPNG,
+      exportSVG: exportSVG,
+      exportJSON: exportJSON
+    };
+
+    configure(options);
+
+    // Without a canvas, only work out where the words should go;
+    // see WordCloud.layout().
+    if (!canvas)
+      return layout();
+
     // All set, start the drawing
-    start(canvas);
+    start();
+
+    return cloud;
+  };
+
+  /* Work out where the words should go without painting them */
+  WordCloud.layout = function layout(options) {
+    if (!isSupported())
+      return [];
+
+    return createWordCloud(null, options).map(getLayoutOf);
+  };
+
+  // Running as a worker for useWorker: work out the layout of the options
+  // sent from the page and send back the placements, in the order of the list.
+  // Only the messages tagged by useWorker are answered, so the script can be
+  // loaded in other workers too, e.g. to call WordCloud.layout().
+  if (typeof document === 'undefined' && typeof importScripts === 'function') {
+    global.addEventListener('message', function layoutInWorker(evt) {
+      if (!evt.data || evt.data.wordcloud2 !== true)
+        return;
+
+      var list = evt.data.options.list;
+      var placements = list.map(function() {
+        return false;
+      });
+
+      createWordCloud(null, evt.data.options).forEach(function(placement) {
+        placements[list.indexOf(placement.item)] = placement;
+        placement.item = undefined;
+      });
+
+      global.postMessage({
+        wordcloud2: true,
+        job: evt.data.job,
+        placements: placements
+      });
+    });
+  }
+
+  // Use canvases from the given function instead of the document,
+  // e.g. to run on Node.js with node-canvas.
+  WordCloud.setCanvasFactory = function setCanvasFactory(factory) {
+    canvasFactory = factory;
+
+    // Find these out again against the new canvases.
+    supported = miniumFontSize = undefined;
+    WordCloud.clearCache();
+  };
+
+  // Forget the text measured so far, e.g. when a web font is loaded
+  // in place of the fallback font it was measured in.
+  WordCloud.clearCache = function clearCache() {
+    if (textInfoCache)
+      textInfoCache.clear();
+  };
+
+  // Words to leave out of WordCloud.fromText(), by language.
+  // Add to or replace these to support more languages.
+  WordCloud.stopWords = {
+    en: ('a about above after again against all am an and any are as at be ' +
+         'because been before being below between both but by can could did ' +
+         'do does doing down during each few for from further had has have ' +
+         'having he her here hers herself him himself his how i if in into ' +
+         'is it its itself just me more most my myself no nor not now of ' +
+         'off on once only or other our ours ourselves out over own same ' +
+         'she should so some such than that the their theirs them ' +
+         'themselves then there these they this those through to too under ' +
+         'until up very was we were what when where which while who whom ' +
+         'why will with would you your yours yourself yourselves ' +
+         'i\'m you\'re it\'s don\'t doesn\'t didn\'t isn\'t can\'t won\'t')
+        .split(' '),
+    zh: ('的 了 是 在 和 與 及 或 也 就 都 而 但 並 又 很 我 你 他 她 它 我們 ' +
+         '你們 他們 這 那 這個 那個 之 其 以 於 為 被 把 從 到 對 上 下 中 ' +
+         '有 沒有 不 一 個 著 過 嗎 呢 吧 啊')
+        .split(' ')
+  };
+
+  // Punctuation and symbols in ASCII, general punctuation, CJK symbols and
+  // full-width forms; stripped from the ends of the words.
+  var PUNCTUATION = '[!-\\/:-@\\[-`{-~\\u00a1-\\u00bf\\u2000-\\u206f' +
+                    '\\u3000-\\u303f\\uff01-\\uff0f\\uff1a-\\uff20' +
+                    '\\uff3b-\\uff40\\uff5b-\\uff65]';
+  var PUNCTUATION_ENDS =
+    new RegExp('^' + PUNCTUATION + '+|' + PUNCTUATION + '+$', 'g');
+  // Apostrophes are kept in the words, e.g. "don't", and stripped if at
+  // the ends.
+  var SEPARATORS =
+    new RegExp('(?:\\s|(?![\'\\u2019])' + PUNCTUATION + ')+');
+
+  // A light stemmer for English that only strips common suffixes,
+  // so e.g. "cloud", "clouds" and "clouding" are counted together.
+  var stemEnglish = function stemEnglish(word) {
+    if (word.length <= 4)
+      return word.replace(/([^s])s$/, '$1');
+
+    word = word
+      .replace(/ies$/, 'y')
+      .replace(/(ss|sh|ch|x)es$/, '$1')
+      .replace(/([^su])s$/, '$1');
+
+    // "running" to "run", but "spelling" to "spell"
+    var stem = word.replace(/(...)(ing|ed)$/, '$1');
+    if (stem !== word && /([^aeiouls])\1$/.test(stem))
+      stem = stem.slice(0, -1);
+    return stem;
+  };
+
+  // Split the text into words. Use Intl.Segmenter where available,
+  // which also knows where the words are in CJK text without spaces.
+  var tokenize = function tokenize(text, locale) {
+    if (typeof Intl === 'object' && typeof Intl.Segmenter === 'function') {
+      var segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+      var words = [];
+      var iterator = segmenter.segment(text)[Symbol.iterator]();
+      var segment;
+      while (!(segment = iterator.next()).done) {
+        if (segment.value.isWordLike)
+          words.push(segment.value.segment);
+      }
+      return words;
+    }
+
+    return text.split(SEPARATORS);
   };
 
-  WordCloud.isSupported = isSupported;
-  WordCloud.miniumFontSize = miniumFontSize;
+  // Count the words in the text and make a list for options.list, sorted
+  // from the most frequent word.
+  WordCloud.fromText = function fromText(text, opts) {
+    var settings = {
+      locale: undefined, // for Intl.Segmenter and toLocaleLowerCase()
+      lowercase: true,
+      languages: ['en', 'zh'], // the stopWords lists to use
+      stopWords: [], // more words to leave out
+      stem: false, // true for stemEnglish(), or a function(word)
+      minLength: 1,
+      maxWords: 0 // 0 to keep all of them
+    };
+    for (var key in opts) {
+      if (key in settings)
+        settings[key] = opts[key];
+    }
+
+    var stopWords = Object.create(null);
+    settings.languages.forEach(function addLanguage(language) {
+      (WordCloud.stopWords[language] || []).forEach(function add(word) {
+        stopWords[word] = true;
+      });
+    });
+    settings.stopWords.forEach(function add(word) {
+      stopWords[settings.lowercase ? word.toLowerCase() : word] = true;
+    });
+
+    var stem = (settings.stem === true) ? stemEnglish : settings.stem;
+
+    // Count the words by their stems, and keep the counts of the forms
+    // to show the most frequent one.
+    var counts = Object.create(null);
+    var forms = Object.create(null);
+    tokenize(String(text), settings.locale).forEach(function count(word) {
+      // The typographic apostrophe is the same as the stop words have.
+      word = word.replace(PUNCTUATION_ENDS, '').replace(/\u2019/g, '\'');
+      if (settings.lowercase)
+        word = word.toLocaleLowerCase(settings.locale);
+
+      if (word.length < settings.minLength || stopWords[word])
+        return;
+
+      var key = stem ? stem(word) : word;
+      counts[key] = (counts[key] || 0) + 1;
+      if (stem) {
+        forms[key] = forms[key] || Object.create(null);
+        forms[key][word] = (forms[key][word] || 0) + 1;
+      }
+    });
+
+    var list = Object.keys(counts).map(function getItem(key) {
+      var word = key;
+      if (stem) {
+        var max = 0;
+        for (var form in forms[key]) {
+          if (forms[key][form] > max) {
+            max = forms[key][form];
+            word = form;
+          }
+        }
+      }
+      return [word, counts[key]];
+    }).sort(function compare(a, b) {
+      return (b[1] - a[1]) || (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0));
+    });
+
+    if (settings.maxWords)
+      list = list.slice(0, settings.maxWords);
+
+    return list;
+  };
 
-  // Expose the library as an AMD module
-  if (typeof define === 'function' && define.amd) {
+  Object.defineProperty(WordCloud, 'isSupported', {
+    get: isSupported,
+    enumerable: true
+  });
+  Object.defineProperty(WordCloud, 'miniumFontSize', {
+    get: getMiniumFontSize,
+    enumerable: true
+  });
+
+  // Expose the library as a CommonJS module (e.g. for Node.js),
+  // an AMD module, or a global
+  if (typeof module === 'object' && module.exports) {
+    module.exports = WordCloud;
+  } else if (typeof define === 'function' && define.amd) {
     define('wordcloud', [], function() { return WordCloud; });
   } else {
     global.WordCloud = WordCloud;
@@ -0,0 +1,660 @@
+'use strict';
+
+module('API');
+
+test('WordCloud() returns a controller object.', function() {
+  var options = getTestOptions();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+
+  ['stop', 'pause', 'resume', 'redraw', 'destroy'].forEach(function(name) {
+    equal(typeof cloud[name], 'function', name + '() is available.');
+  });
+  cloud.destroy();
+});
+
+test('stop() stops the drawing and fires wordcloudstop.', function() {
+  var options = getTestOptions();
+  options.wait = 50;
+
+  var canvas = document.createElement('canvas');
+  var drawnCount = 0;
+  canvas.addEventListener('wordclouddrawn', function() {
+    drawnCount++;
+  });
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  canvas.addEventListener('wordcloudstop', function() {
+    var count = drawnCount;
+    setTimeout(function() {
+      equal(drawnCount, count, 'No more items are drawn after stop().');
+      ok(count < options.list.length, 'The drawing is stopped early.');
+      start();
+    }, options.wait * 3);
+  });
+  setTimeout(function() {
+    cloud.stop();
+  }, options.wait * 2);
+});
+
+test('pause() holds the drawing until resume().', function() {
+  var options = getTestOptions();
+  options.wait = 50;
+
+  var canvas = document.createElement('canvas');
+  var drawnCount = 0;
+  canvas.addEventListener('wordclouddrawn', function() {
+    drawnCount++;
+  });
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.pause();
+  setTimeout(function() {
+    equal(drawnCount, 0, 'Nothing is drawn while paused.');
+    canvas.addEventListener('wordcloudstop', function() {
+      equal(drawnCount, options.list.length, 'All items are drawn.');
+      start();
+    });
+    cloud.resume();
+  }, options.wait * 3);
+});
+
+test('redraw() can take new options.', function() {
+  var options = getTestOptions();
+  var canvas = setupTest('redraw');
+
+  var cloud = WordCloud(canvas, { list: [['foo', 10]] });
+  cloud.redraw(options);
+});
+
+test('destroy() removes the event listeners.', function() {
+  var options = getTestOptions();
+  var clicked = false;
+  options.click = function() {
+    clicked = true;
+  };
+
+  var canvas = document.createElement('canvas');
+  var cloud = WordCloud(canvas, options);
+  cloud.destroy();
+
+  var evt = document.createEvent('MouseEvents');
+  evt.initMouseEvent('click', true, true, window, 0, 0, 0, 150, 150,
+                     false, false, false, false, 0, null);
+  canvas.dispatchEvent(evt);
+  ok(!clicked, 'click callback is not called after destroy().');
+});
+
+test('done resolves with the drawn and dropped items.', function() {
+  var options = getTestOptions();
+  options.list = options.list.concat([['tiny', 1]]);
+  options.minSize = 10;
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function(result) {
+    ok(!result.aborted, 'The drawing is not aborted.');
+    equal(result.drawn.length + result.dropped.length, options.list.length,
+          'Every item is either drawn or dropped.');
+    ok(result.dropped.indexOf(options.list[options.list.length - 1]) !== -1,
+       'The item smaller than minSize is dropped.');
+    start();
+  });
+});
+
+test('done resolves as aborted when stopped.', function() {
+  var options = getTestOptions();
+  options.wait = 50;
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function(result) {
+    ok(result.aborted, 'The drawing is aborted.');
+    start();
+  });
+  cloud.stop();
+});
+
+test('WordCloud.layout() works out the placements without painting.',
+function() {
+  var options = getTestOptions();
+  options.width = 300;
+  options.height = 300;
+
+  var placements = WordCloud.layout(options);
+  equal(placements.length, options.list.length, 'All the words fit.');
+
+  var placement = placements[0];
+  equal(placement.item, options.list[0], 'The item is given.');
+  equal(placement.word, options.list[0][0], 'The word is given.');
+  equal(placement.color, '#000', 'The color is given.');
+  ok(placement.fontSize > 0, 'The font size is given.');
+  ok(placement.x >= 0 && placement.x <= options.width &&
+     placement.y >= 0 && placement.y <= options.height,
+     'The word is in the virtual canvas.');
+  ok(placement.dimension.w > 0 && placement.dimension.h > 0,
+     'The dimension is given.');
+});
+
+test('WordCloud() throws without an element to draw on.', function() {
+  var options = getTestOptions();
+
+  throws(function() {
+    WordCloud('no-such-element', options);
+  }, Error, 'An id of no element is rejected.');
+  throws(function() {
+    WordCloud(null, options);
+  }, Error, 'No element is rejected.');
+});
+
+test('Words drawn off the center of their boxes do not overlap.',
+function() {
+  // The underscores only fill a bar under the baseline, so the words overlap
+  // if and only if their boxes do; the long ones cross the 32 cells
+  // the grid is tested by at a time.
+  var list = [];
+  var i;
+  for (i = 0; i < 4; i++) {
+    list.push(['_', 59]);
+    list.push(['__________', 39]);
+  }
+  var placements = WordCloud.layout({
+    list: list,
+    width: 300,
+    height: 300,
+    gridSize: 2,
+    shuffle: false,
+    rotateRatio: 0
+  });
+  equal(placements.length, list.length, 'All the words fit.');
+
+  var overlaps = function(a, b) {
+    return a.x < b.x + b.w && b.x < a.x + a.w &&
+           a.y < b.y + b.h && b.y < a.y + a.h;
+  };
+  var j, overlapped = false;
+  for (i = 0; i < placements.length; i++) {
+    for (j = i + 1; j < placements.length; j++) {
+      if (overlaps(placements[i].dimension, placements[j].dimension))
+        overlapped = true;
+    }
+  }
+  ok(!overlapped, 'The words do not overlap.');
+});
+
+test('useWorker gives the same result as the page.', function() {
+  var options = getTestOptions();
+  options.seed = 'worker';
+  options.shuffle = true;
+
+  stop();
+  WordCloud(document.createElement('canvas'), options).done.then(
+  function(result) {
+    options.useWorker = true;
+    WordCloud(document.createElement('canvas'), options).done.then(
+    function(workerResult) {
+      deepEqual(workerResult.drawn, result.drawn,
+                'The same items are drawn.');
+      deepEqual(workerResult.dropped, result.dropped,
+                'The same items are dropped.');
+      start();
+    });
+  });
+});
+
+test('useWorker keeps up with add() and remove() while working.', function() {
+  var options = getTestOptions();
+  options.useWorker = true;
+  var removed = options.list[2][0];
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.remove(removed);
+  cloud.add([['added', 20]]);
+  cloud.done.then(function(result) {
+    var words = JSON.parse(cloud.exportJSON()).words;
+    ok(words.every(function(word, i) {
+      return word.word === result.drawn[i][0] &&
+             word.weight === result.drawn[i][1];
+    }), 'The words are drawn with their own items.');
+    ok(words.every(function(word) {
+      return word.word !== removed;
+    }), 'The word removed is not drawn.');
+    equal(words.pop().word, 'added', 'The word added is drawn last.');
+    cloud.destroy();
+    start();
+  });
+});
+
+test('useWorker takes only the layout of the latest run.', function() {
+  var options = getTestOptions();
+  options.useWorker = true;
+  var shorterList = options.list.slice(0, 3);
+
+  var canvas = document.createElement('canvas');
+  var drawnCount = 0;
+  canvas.addEventListener('wordclouddrawn', function() {
+    drawnCount++;
+  });
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.redraw({ list: shorterList });
+  cloud.done.then(function(result) {
+    deepEqual(result.drawn, shorterList, 'The new list is drawn.');
+    setTimeout(function() {
+      equal(drawnCount, shorterList.length, 'Nothing else is drawn.');
+      cloud.destroy();
+      start();
+    }, 500);
+  });
+});
+
+test('setCanvasFactory() sets where the canvases come from.', function() {
+  var options = getTestOptions();
+  var count = 0;
+
+  WordCloud.setCanvasFactory(function() {
+    count++;
+    return document.createElement('canvas');
+  });
+  ok(WordCloud.isSupported, 'WordCloud is supported with the canvases.');
+
+  stop();
+  WordCloud(document.createElement('canvas'), options).done.then(function() {
+    ok(count > 0, 'The canvases come from the factory.');
+    WordCloud.setCanvasFactory(null);
+    start();
+  });
+});
+
+test('exportSVG() exports the words drawn.', function() {
+  var options = getTestOptions();
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function(result) {
+    var svg = new DOMParser().parseFromString(cloud.exportSVG(),
+                                              'image/svg+xml');
+    var texts = svg.querySelectorAll('text');
+    equal(texts.length, result.drawn.length,
+          'There is a text element for each word drawn.');
+    equal(texts[0].textContent, result.drawn[0][0],
+          'The text element contains the word.');
+    start();
+  });
+});
+
+test('exportJSON() exports the words drawn.', function() {
+  var options = getTestOptions();
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function(result) {
+    var json = JSON.parse(cloud.exportJSON());
+    equal(json.width, 300, 'The width is exported.');
+    equal(json.words.length, result.drawn.length,
+          'Each word drawn is exported.');
+    equal(json.words[0].word, result.drawn[0][0], 'The word is exported.');
+    equal(json.words[0].color, '#000', 'The color is exported.');
+    start();
+  });
+});
+
+test('exportPNG() exports a PNG image.', function() {
+  var options = getTestOptions();
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function() {
+    return cloud.exportPNG();
+  }).then(function(blob) {
+    equal(blob.type, 'image/png', 'The image is a PNG image.');
+    start();
+  });
+});
+
+test('The exports have the words where they are put while animated.',
+function() {
+  var options = getTestOptions();
+  options.animation = 'fade';
+  options.animationDuration = 10000;
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function() {
+    var svg = new DOMParser().parseFromString(cloud.exportSVG(),
+                                              'image/svg+xml');
+    equal(svg.querySelectorAll('text[opacity]').length, 0,
+          'The words are exported faded in.');
+    cloud.destroy();
+    start();
+  });
+});
+
+test('placements exported can be painted again.', function() {
+  var options = getTestOptions();
+  options.shuffle = true;
+  options.rotateRatio = 0.5;
+
+  stop();
+  var savedCanvas = document.createElement('canvas');
+  var cloud = WordCloud(savedCanvas, options);
+  cloud.done.then(function() {
+    var json = cloud.exportJSON();
+    var clicked;
+    var canvas = document.createElement('canvas');
+    appendToCurrentTestOutput(canvas);
+    WordCloud(canvas, {
+      placements: json,
+      fontFamily: options.fontFamily,
+      click: function(item) {
+        clicked = item;
+      }
+    }).done.then(function(result) {
+      var words = JSON.parse(json).words;
+      equal(result.drawn.length, words.length, 'All the words are painted.');
+      equal(canvas.toDataURL(), savedCanvas.toDataURL(),
+            'The words are painted as they were.');
+
+      var evt = document.createEvent('MouseEvents');
+      var rect = canvas.getBoundingClientRect();
+      evt.initMouseEvent('click', true, true, window, 0, 0, 0,
+                         rect.left + words[0].x, rect.top + words[0].y,
+                         false, false, false, false, 0, null);
+      canvas.dispatchEvent(evt);
+      deepEqual(clicked, words[0].item, 'click works on the words painted.');
+      start();
+    });
+  });
+});
+
+test('responsive draws again when the container is resized.', function() {
+  var options = getTestOptions();
+  options.responsive = true;
+  options.responsiveDelay = 10;
+
+  var container = document.createElement('div');
+  container.style.width = '300px';
+  container.style.height = '300px';
+  var canvas = document.createElement('canvas');
+  canvas.width = 300;
+  canvas.height = 300;
+  container.appendChild(canvas);
+  appendToCurrentTestOutput(container);
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.done.then(function() {
+    var fontSize = JSON.parse(cloud.exportJSON()).words[0].fontSize;
+    canvas.addEventListener('wordcloudstop', function stopped() {
+      canvas.removeEventListener('wordcloudstop', stopped);
+      var words = JSON.parse(cloud.exportJSON()).words;
+      equal(canvas.width, 600, 'The canvas fills the container.');
+      equal(words[0].fontSize, fontSize * 2,
+            'The words are scaled with the area.');
+      cloud.destroy();
+      start();
+    });
+    container.style.width = '600px';
+    container.style.height = '600px';
+  });
+});
+
+test('responsive keeps the size of a container sized by the canvas.',
+function() {
+  var options = getTestOptions();
+  options.responsive = true;
+  options.responsiveDelay = 10;
+
+  var container = document.createElement('div');
+  container.style.width = '300px';
+  var canvas = document.createElement('canvas');
+  canvas.width = 300;
+  canvas.height = 300;
+  container.appendChild(canvas);
+  appendToCurrentTestOutput(container);
+
+  var starts = 0;
+  canvas.addEventListener('wordcloudstart', function() {
+    starts++;
+  });
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.done.then(function() {
+    setTimeout(function() {
+      equal(canvas.height, 300, 'The canvas stays in its height.');
+      equal(starts, 1, 'The cloud is not drawn again.');
+      cloud.destroy();
+      start();
+    }, options.responsiveDelay * 10);
+  });
+});
+
+test('responsive stops for a cloud replaced on the element.', function() {
+  var options = getTestOptions();
+  options.responsive = true;
+  options.responsiveDelay = 10;
+
+  var container = document.createElement('div');
+  container.style.width = '300px';
+  container.style.height = '300px';
+  var canvas = document.createElement('canvas');
+  canvas.width = 300;
+  canvas.height = 300;
+  container.appendChild(canvas);
+  appendToCurrentTestOutput(container);
+
+  var starts = 0;
+  canvas.addEventListener('wordcloudstart', function() {
+    starts++;
+  });
+
+  stop();
+  WordCloud(canvas, options);
+  options.list = options.list.slice(0, 3);
+  var cloud = WordCloud(canvas, options);
+  cloud.done.then(function() {
+    canvas.addEventListener('wordcloudstop', function stopped() {
+      canvas.removeEventListener('wordcloudstop', stopped);
+      setTimeout(function() {
+        equal(starts, 3, 'Only the cloud replacing it is drawn again.');
+        equal(JSON.parse(cloud.exportJSON()).words.length, 3,
+              'The words of the cloud replacing it are drawn.');
+        cloud.destroy();
+        start();
+      }, options.responsiveDelay * 10);
+    });
+    container.style.width = '600px';
+    container.style.height = '600px';
+  });
+});
+
+test('The words measured are cached until clearCache().', function() {
+  var options = {
+    list: [['foo', 30], ['bar', 20]],
+    rotateRatio: 0,
+    width: 300,
+    height: 300
+  };
+  var count = 0;
+  WordCloud.setCanvasFactory(function() {
+    count++;
+    return document.createElement('canvas');
+  });
+
+  WordCloud.layout(options);
+  count = 0;
+  options.color = 'red';
+  WordCloud.layout(options);
+  equal(count, 0, 'The words are not measured again.');
+
+  WordCloud.clearCache();
+  WordCloud.layout(options);
+  equal(count, 2, 'The words are measured again after clearCache().');
+
+  WordCloud.setCanvasFactory(null);
+});
+
+test('transition moves the words to their new places.', function() {
+  var options = getTestOptions();
+  options.transition = true;
+  options.animation = 'fade';
+  options.animationDuration = 50;
+
+  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('width', 300);
+  svg.setAttribute('height', 300);
+  appendToCurrentTestOutput(svg);
+
+  stop();
+  var cloud = WordCloud(svg, options);
+  cloud.done.then(function() {
+    cloud.redraw({ list: options.list.slice(1) });
+    return cloud.done;
+  }).then(function(result) {
+    var texts = svg.getElementsByTagName('text');
+    ok(texts.length > result.drawn.length,
+       'The word left out is still fading out.');
+    setTimeout(function() {
+      equal(texts.length, result.drawn.length, 'The word left out is gone.');
+      cloud.destroy();
+      start();
+    }, options.animationDuration * 4);
+  });
+});
+
+test('add() and remove() change the words on the cloud.', function() {
+  var options = getTestOptions();
+  var canvas = document.createElement('canvas');
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  var first = options.list[0][0];
+  cloud.done.then(function() {
+    var words = JSON.parse(cloud.exportJSON()).words;
+    cloud.remove(first);
+    var left = JSON.parse(cloud.exportJSON()).words;
+    equal(left.length, words.length - 1, 'The word is removed.');
+    deepEqual(left[0], words[1], 'The other words stay where they are.');
+
+    cloud.add([[first, options.list[0][1]]]);
+    return cloud.done;
+  }).then(function(result) {
+    equal(result.drawn.length, 1, 'The word added is drawn.');
+    equal(JSON.parse(cloud.exportJSON()).words.pop().word, first,
+          'The word added is drawn after the others.');
+    cloud.destroy();
+    start();
+  });
+});
+
+test('add() puts only the new words after stop() or an abort.', function() {
+  var options = getTestOptions();
+  var canvas = document.createElement('canvas');
+  var drawnCount = 0;
+  canvas.addEventListener('wordclouddrawn', function(evt) {
+    // Cancel the event of the second item, which aborts the drawing.
+    if (++drawnCount === 2)
+      evt.preventDefault();
+  });
+  var getWords = function(cloud) {
+    return JSON.parse(cloud.exportJSON()).words.map(function(word) {
+      return word.word;
+    });
+  };
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.done.then(function(result) {
+    ok(result.aborted, 'The drawing is aborted.');
+    cloud.add([['added', 20]]);
+    return cloud.done;
+  }).then(function(result) {
+    deepEqual(result.drawn, [['added', 20]], 'Only the word added is drawn.');
+    deepEqual(getWords(cloud),
+              [options.list[0][0], options.list[1][0], 'added'],
+              'The word aborted on is not drawn again.');
+    cloud.destroy();
+
+    options.wait = 50;
+    var stopped = WordCloud(document.createElement('canvas'), options);
+    stopped.stop();
+    stopped.add([['added', 20]]);
+    return stopped.done.then(function(result) {
+      deepEqual(result.drawn, [['added', 20]],
+                'The words left by stop() are not drawn.');
+      stopped.destroy();
+      start();
+    });
+  });
+});
+
+test('add() sizes the words added with the named scale.', function() {
+  var options = getTestOptions();
+  options.weightFactor = 'rank';
+
+  stop();
+  var cloud = WordCloud(document.createElement('canvas'), options);
+  cloud.done.then(function() {
+    cloud.add([['light', 1]]);
+    return cloud.done;
+  }).then(function(result) {
+    equal(result.drawn.length, 1, 'The word added is drawn.');
+    equal(JSON.parse(cloud.exportJSON()).words.pop().fontSize, 10,
+          'The word lighter than the others is in minFontSize.');
+    cloud.destroy();
+    start();
+  });
+});
+
+test('The words can be navigated with the keys.', function() {
+  var options = getTestOptions();
+  options.list = options.list.slice().sort(function(a, b) {
+    return b[1] - a[1];
+  });
+  var hovered = [];
+  var clicked;
+  options.hover = function(item) {
+    hovered.push(item && item[0]);
+  };
+  options.click = function(item) {
+    clicked = item;
+  };
+
+  var canvas = document.createElement('canvas');
+  appendToCurrentTestOutput(canvas);
+  var pressKey = function(key, shiftKey) {
+    var evt = document.createEvent('Event');
+    evt.initEvent('keydown', true, true);
+    evt.key = key;
+    evt.shiftKey = !!shiftKey;
+    canvas.dispatchEvent(evt);
+  };
+
+  stop();
+  var cloud = WordCloud(canvas, options);
+  cloud.done.then(function(result) {
+    equal(canvas.getAttribute('tabindex'), '0', 'The canvas is focusable.');
+    equal(canvas.getAttribute('aria-label'), 'Word cloud',
+          'The canvas is labeled.');
+    equal(canvas.getElementsByTagName('li').length, result.drawn.length,
+          'The words drawn are listed in the canvas.');
+
+    pressKey('Tab');
+    pressKey('ArrowRight');
+    pressKey('Enter');
+    deepEqual(hovered, [options.list[0][0], options.list[1][0]],
+              'The words are focused, heaviest first.');
+    strictEqual(clicked, options.list[1], 'Enter clicks on the word.');
+
+    pressKey('Tab', true);
+    pressKey('Tab', true);
+    equal(hovered.pop(), undefined, 'The focus leaves past the first word.');
+
+    cloud.destroy();
+    start();
+  });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+module('DOM');
+
+var createTestDiv = function createTestDiv() {
+  var div = document.createElement('div');
+  div.style.width = '300px';
+  div.style.height = '300px';
+  appendToCurrentTestOutput(div);
+  return div;
+};
+
+test('Words are put in the element as span elements.', function() {
+  var options = getTestOptions();
+  var div = createTestDiv();
+
+  stop();
+  WordCloud(div, options).done.then(function(result) {
+    var spans = div.querySelectorAll('span');
+    equal(spans.length, result.drawn.length,
+          'There is a span element for each word drawn.');
+    equal(spans[0].textContent, result.drawn[0][0],
+          'The span element contains the word.');
+    equal(spans[0].dataset.word, result.drawn[0][0],
+          'The word is in the dataset.');
+    equal(spans[0].dataset.weight, String(result.drawn[0][1]),
+          'The weight is in the dataset.');
+    equal(spans[0].style.position, 'absolute',
+          'The span is absolutely positioned.');
+    start();
+  });
+});
+
+test('The element is positioned for the spans.', function() {
+  var options = getTestOptions();
+  var div = createTestDiv();
+
+  stop();
+  WordCloud(div, options).done.then(function() {
+    equal(div.style.position, 'relative', 'The element is positioned.');
+    start();
+  });
+});
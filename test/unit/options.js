@@ -153,3 +153,247 @@ test('shape can be set to a given polar equation', function() {
 
   WordCloud(setupTest('shape-equation'), options);
 });
+
+test('seed can be set', function() {
+  var options = getTestOptions();
+  options.shuffle = true;
+  options.rotateRatio = 0.5;
+  options.color = 'random-dark';
+  options.seed = 'wordcloud2.js';
+
+  WordCloud(setupTest('seed'), options);
+});
+
+test('seed can be left undefined', function() {
+  var options = getTestOptions();
+  options.shuffle = true;
+  options.seed = undefined;
+  options.width = 300;
+  options.height = 300;
+
+  equal(WordCloud.layout(options).length, options.list.length,
+        'The words are put with Math.random().');
+
+  options.seed = NaN;
+  throws(function() {
+    WordCloud.layout(options);
+  }, TypeError, 'A seed which is not a finite number is rejected.');
+});
+
+test('maskImage can be set', function() {
+  var options = getTestOptions();
+
+  var maskCanvas = document.createElement('canvas');
+  maskCanvas.width = maskCanvas.height = 300;
+  var maskCtx = maskCanvas.getContext('2d');
+  maskCtx.beginPath();
+  maskCtx.arc(150, 150, 120, 0, 2 * Math.PI);
+  maskCtx.fill();
+  options.maskImage = maskCanvas;
+
+  WordCloud(setupTest('maskImage'), options);
+});
+
+test('pixelRatio can be set', function() {
+  var options = getTestOptions();
+  options.pixelRatio = 2;
+
+  var canvas = setupTest('pixelRatio');
+  WordCloud(canvas, options);
+  equal(canvas.width, 600, 'The canvas has the pixels for the ratio.');
+  equal(canvas.style.width, '300px', 'The canvas keeps the size in CSS.');
+});
+
+test('weightFactor can be set to auto', function() {
+  var options = getTestOptions();
+  options.weightFactor = 'auto';
+
+  var placements = WordCloud.layout({
+    list: options.list,
+    weightFactor: 'auto',
+    width: 300,
+    height: 300
+  });
+  equal(placements.length, options.list.length, 'All the words fit.');
+
+  WordCloud(setupTest('weightFactor-auto'), options);
+});
+
+test('weightFactor auto leaves out the words too small to draw', function() {
+  var options = getTestOptions();
+  var getLargest = function(placements) {
+    return Math.max.apply(null, placements.map(function(placement) {
+      return placement.fontSize;
+    }));
+  };
+  var layout = function(list, minSize) {
+    return WordCloud.layout({
+      list: list,
+      weightFactor: 'auto',
+      minSize: minSize,
+      rotateRatio: 0,
+      width: 300,
+      height: 300
+    });
+  };
+
+  var largest = getLargest(layout(options.list, 0));
+  equal(getLargest(layout(options.list.concat([['zero', 0]]), 0)), largest,
+        'A word of weight 0 does not change the fit.');
+
+  var placements = layout(options.list, 12);
+  equal(placements.length, options.list.length,
+        'The words fit above minSize.');
+  equal(getLargest(placements), largest,
+        'minSize does not change the fit.');
+});
+
+test('weightFactor can be set to a named scale', function() {
+  var list = [['heavy', 10000], ['middle', 100], ['light', 3]];
+  var sizes = {};
+  ['linear', 'sqrt', 'log', 'rank'].forEach(function(scale) {
+    sizes[scale] = WordCloud.layout({
+      list: list,
+      weightFactor: scale,
+      minFontSize: 10,
+      maxFontSize: 60,
+      width: 300,
+      height: 300
+    }).map(function(placement) {
+      return placement.fontSize;
+    });
+    equal(sizes[scale][0], 60, scale + ': the heaviest word is the largest.');
+    equal(sizes[scale][2], 10, scale + ': the lightest word is the smallest.');
+  });
+  equal(sizes.rank[1], 35, 'rank: the words are spread evenly.');
+  ok(sizes.log[1] > sizes.sqrt[1] && sizes.sqrt[1] > sizes.linear[1],
+     'log spreads the light words the most, then sqrt, then linear.');
+
+  var options = getTestOptions();
+  options.weightFactor = 'log';
+  WordCloud(setupTest('weightFactor-log'), options);
+});
+
+test('list items can have their own styles', function() {
+  var options = getTestOptions();
+  options.rotateRatio = 1;
+  options.list = options.list.map(function(item, i) {
+    if (i % 3 === 0) {
+      return [item[0], item[1], { color: '#c00', rotation: 0 }];
+    }
+    if (i % 3 === 1) {
+      return { word: item[0], weight: item[1], fontWeight: 'bold' };
+    }
+    return item;
+  });
+
+  var placements = WordCloud.layout({
+    list: options.list.slice(0, 3),
+    rotateRatio: 1,
+    width: 300,
+    height: 300
+  });
+  equal(placements[0].color, '#c00', 'The color of the word is used.');
+  equal(placements[0].rotation, 0, 'The rotation of the word is pinned.');
+  equal(placements[1].word, options.list[1].word, 'Objects can be items.');
+  equal(placements[1].fontWeight, 'bold', 'The font of the word is used.');
+  strictEqual(placements[1].item, options.list[1], 'The item is given back.');
+
+  WordCloud(setupTest('list-styles'), options);
+});
+
+test('fontFamily and fontWeight can be set to callbacks', function() {
+  var options = getTestOptions();
+  options.fontWeight = function(word, weight, fontSize) {
+    return (fontSize > 30) ? 'bold' : 'normal';
+  };
+  options.fontFamily = function(word, weight, fontSize) {
+    return (fontSize > 30) ? 'Impact, sans-serif' : 'serif';
+  };
+
+  var placements = WordCloud.layout({
+    list: [['big', 40], ['small', 10]],
+    fontWeight: options.fontWeight,
+    fontFamily: options.fontFamily,
+    width: 300,
+    height: 300
+  });
+  equal(placements[0].fontWeight, 'bold', 'The callback gives the weight.');
+  equal(placements[1].fontFamily, 'serif', 'The callback gives the family.');
+
+  WordCloud(setupTest('font-callbacks'), options);
+});
+
+test('rotationSteps can be set', function() {
+  var options = getTestOptions();
+  options.rotateRatio = 1;
+  options.rotationSteps = 2;
+  options.minRotation = 0;
+  options.maxRotation = Math.PI / 2;
+
+  var placements = WordCloud.layout({
+    list: options.list,
+    rotateRatio: 1,
+    rotationSteps: 2,
+    minRotation: 0,
+    maxRotation: Math.PI / 2,
+    width: 300,
+    height: 300
+  });
+  ok(placements.every(function(placement) {
+    return placement.rotation === 0 || placement.rotation === Math.PI / 2;
+  }), 'The words are either horizontal or vertical.');
+
+  WordCloud(setupTest('rotationSteps'), options);
+});
+
+test('rotation can be set to a callback', function() {
+  var options = getTestOptions();
+  options.rotation = function(word, weight, index) {
+    return (index % 2) ? Math.PI / 2 : 0;
+  };
+
+  var placements = WordCloud.layout({
+    list: [['foo', 20], ['bar', 20]],
+    rotation: options.rotation,
+    width: 300,
+    height: 300
+  });
+  equal(placements[0].rotation, 0, 'The first word is horizontal.');
+  equal(placements[1].rotation, Math.PI / 2, 'The second word is vertical.');
+
+  WordCloud(setupTest('rotation-callback'), options);
+});
+
+test('retryRotations can be set', function() {
+  var options = {
+    list: [['x', 80], ['Supercalifragilistic', 14]],
+    rotateRatio: 0,
+    minRotation: Math.PI / 2,
+    maxRotation: Math.PI / 2,
+    width: 120,
+    height: 260
+  };
+  equal(WordCloud.layout(options).length, 1,
+        'The long word does not fit horizontally.');
+
+  options.rotateRatio = 0.5;
+  options.retryRotations = true;
+  options.seed = 1;
+  var placements = WordCloud.layout(options);
+  equal(placements.length, 2, 'The long word fits at the other angle.');
+  equal(placements[1].rotation, Math.PI / 2, 'The long word is vertical.');
+});
+
+test('shrinkToFit can be set', function() {
+  var options = {
+    list: [['x', 80], ['Supercalifragilistic', 14]],
+    rotateRatio: 0,
+    width: 120,
+    height: 260,
+    shrinkToFit: true
+  };
+  var placements = WordCloud.layout(options);
+  equal(placements.length, 2, 'The long word fits at a smaller size.');
+  ok(placements[1].fontSize < 14, 'The long word is smaller.');
+});
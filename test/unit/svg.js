@@ -0,0 +1,83 @@
+'use strict';
+
+module('SVG');
+
+var createTestSVG = function createTestSVG() {
+  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('width', 300);
+  svg.setAttribute('height', 300);
+  appendToCurrentTestOutput(svg);
+  return svg;
+};
+
+test('Words are put in the svg as text elements.', function() {
+  var options = getTestOptions();
+  var svg = createTestSVG();
+
+  stop();
+  WordCloud(svg, options).done.then(function(result) {
+    var texts = svg.querySelectorAll('text');
+    equal(texts.length, result.drawn.length,
+          'There is a text element for each word drawn.');
+    equal(texts[0].textContent, result.drawn[0][0],
+          'The text element contains the word.');
+    equal(texts[0].getAttribute('fill'), '#000', 'The color is set.');
+    start();
+  });
+});
+
+test('backgroundColor is painted with a rect.', function() {
+  var options = getTestOptions();
+  options.backgroundColor = 'rgb(0, 0, 255)';
+  var svg = createTestSVG();
+
+  stop();
+  WordCloud(svg, options).done.then(function() {
+    equal(svg.firstChild.tagName, 'rect', 'The background is a rect.');
+    equal(svg.firstChild.getAttribute('fill'), options.backgroundColor,
+          'The background has the backgroundColor.');
+    start();
+  });
+});
+
+test('clearCanvas: false keeps the existing content.', function() {
+  var options = getTestOptions();
+  options.clearCanvas = false;
+  var svg = createTestSVG();
+  var circle = document.createElementNS('http://www.w3.org/2000/svg',
+                                        'circle');
+  svg.appendChild(circle);
+
+  stop();
+  WordCloud(svg, options).done.then(function() {
+    equal(svg.firstChild, circle, 'The existing content is kept.');
+    start();
+  });
+});
+
+test('destroy() takes the focus ring and the attributes off.', function() {
+  var options = getTestOptions();
+  options.click = function() {};
+  var svg = createTestSVG();
+  var pressTab = function() {
+    var evt = document.createEvent('Event');
+    evt.initEvent('keydown', true, true);
+    evt.key = 'Tab';
+    svg.dispatchEvent(evt);
+  };
+
+  stop();
+  var cloud = WordCloud(svg, options);
+  cloud.done.then(function() {
+    equal(svg.getAttribute('tabindex'), '0', 'The svg is focusable.');
+    pressTab();
+    var count = svg.childNodes.length;
+
+    cloud.destroy();
+    equal(svg.childNodes.length, count - 1, 'The focus ring is removed.');
+    ['tabindex', 'role', 'aria-label'].forEach(function(name) {
+      ok(!svg.hasAttribute(name), name + ' is removed.');
+    });
+    start();
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+module('Text');
+
+test('fromText() counts the words.', function() {
+  var list = WordCloud.fromText('Clouds of words; the cloud, the CLOUD!');
+  deepEqual(list, [['cloud', 2], ['clouds', 1], ['words', 1]],
+            'The words are lowercased, stripped and sorted.');
+});
+
+test('fromText() leaves out the stop words.', function() {
+  var text = 'The quick brown fox and the lazy dog';
+  deepEqual(WordCloud.fromText(text, { stopWords: ['fox', 'Dog'] }),
+            [['brown', 1], ['lazy', 1], ['quick', 1]],
+            'The given words are left out too.');
+  equal(WordCloud.fromText(text, { languages: [] }).length, 7,
+        'The lists of stop words can be left out.');
+});
+
+test('fromText() keeps the apostrophes in the words.', function() {
+  var text = 'I don\'t know, I don\u2019t care about \'quoted\' words';
+  var expected = [['care', 1], ['know', 1], ['quoted', 1], ['words', 1]];
+  deepEqual(WordCloud.fromText(text), expected,
+            'The contractions are left out as stop words.');
+
+  // Without Intl.Segmenter, the text is split on the punctuation.
+  if (typeof Intl !== 'object' || typeof Intl.Segmenter !== 'function')
+    return;
+
+  var Segmenter = Intl.Segmenter;
+  Intl.Segmenter = undefined;
+  var list = WordCloud.fromText(text);
+  Intl.Segmenter = Segmenter;
+  deepEqual(list, expected, 'The contractions are left out without it too.');
+});
+
+test('fromText() can stem the words.', function() {
+  var list = WordCloud.fromText('cloud clouds clouds running runs',
+                                { stem: true });
+  deepEqual(list, [['clouds', 3], ['running', 2]],
+            'The forms are counted together under the most frequent one.');
+});
+
+test('fromText() can keep only the most frequent words.', function() {
+  var list = WordCloud.fromText('a b b c c c', { maxWords: 1 });
+  deepEqual(list, [['c', 3]], 'Only one word is kept.');
+});
+
+test('fromText() splits CJK text.', function() {
+  if (typeof Intl !== 'object' || typeof Intl.Segmenter !== 'function') {
+    ok(true, 'Intl.Segmenter is not available.');
+    return;
+  }
+
+  var list = WordCloud.fromText('文字雲，文字。', { locale: 'zh-TW' });
+  equal(list[0][0], '文字', 'The words are found without spaces.');
+  equal(list[0][1], 2, 'The words are counted.');
+});